@@ -11,6 +11,17 @@ const adminHandler = require('./src/handlers/adminHandler');
 const indexHandler = require('./src/handlers/indexHandler');
 const searchHandler = require('./src/handlers/searchHandler');
 const deliveryHandler = require('./src/handlers/deliveryHandler');
+const inlineHandler = require('./src/handlers/inlineHandler');
+const followHandler = require('./src/handlers/followHandler');
+const chatGuardHandler = require('./src/handlers/chatGuardHandler');
+const { loadSearchIndex } = require('./src/utils/searchIndex');
+const { backfillCategories } = require('./src/utils/categories');
+const { loadSearchMode } = require('./src/utils/monetization');
+const { refreshRecommendations } = require('./src/utils/recommendations');
+const { startScheduler, autoDelete } = require('./src/utils/scheduler');
+const { startIndexWorker } = require('./src/utils/indexJobs');
+const { loadGroups, listGroups, updateGroup, recordGroupStat } = require('./src/utils/groups');
+const { loadStorageChannels } = require('./src/utils/storageChannels');
 
 // Global stats for live tracking
 global.todayStats = {
@@ -65,6 +76,7 @@ async function loadPersistedSettings() {
         const baseUrl = await BotSettings.findOne({ key: 'shortlinkBase' });
         if (apiKey) process.env.SHORTLINK_API_KEY = apiKey.value;
         if (baseUrl) process.env.SHORTLINK_BASE_URL = baseUrl.value;
+        await loadSearchMode();
         console.log('✅ Persisted settings loaded from DB.');
     } catch (e) {
         console.warn('⚠️ Could not load persisted settings:', e.message);
@@ -84,6 +96,37 @@ async function bootstrap() {
     // 2. Load persisted shortlink settings from MongoDB into process.env
     await loadPersistedSettings();
 
+    // 3. Build the in-memory search index from the Movie collection
+    try {
+        await loadSearchIndex();
+    } catch (err) {
+        console.error('❌ Search index build failed:', err.message);
+        process.exit(1);
+    }
+
+    // Categories from before types were tracked → genre entries for /categories
+    try {
+        await backfillCategories();
+    } catch (err) {
+        console.warn('⚠️ Category backfill failed:', err.message);
+    }
+
+    // 4. Load registered search groups (GROUP_ID seeds the first one)
+    try {
+        await loadGroups();
+    } catch (err) {
+        console.error('❌ Group load failed:', err.message);
+        process.exit(1);
+    }
+
+    // 5. Load storage channels (DB_CHANNEL_ID seeds the first one)
+    try {
+        await loadStorageChannels();
+    } catch (err) {
+        console.error('❌ Storage channel load failed:', err.message);
+        process.exit(1);
+    }
+
     if (!process.env.BOT_TOKEN) {
         console.error('Error: BOT_TOKEN is missing in environment variables.');
         process.exit(1);
@@ -100,9 +143,12 @@ async function bootstrap() {
 
     // 3. Register route handlers
     adminHandler(bot);       // Handles group, channel, and global bot commands
+    chatGuardHandler(bot);   // Per-group welcome messages and spam guard
     indexHandler(bot);       // Listens in DB channel to map messages to movies
     searchHandler(bot);      // Listens in groups for movie title queries
     deliveryHandler(bot);    // Handles /start payloads in PMs 
+    inlineHandler(bot);      // Answers @bot inline queries from any chat
+    followHandler(bot);      // /follow and /unfollow new-clip subscriptions
 
     // General error handler - never let bot crash
     bot.catch((err) => {
@@ -208,6 +254,12 @@ async function bootstrap() {
     }
     cleanupAllRoomsOnStartup();
 
+    // --- Deferred actions (auto-deletes, link expiry edits, room releases) ---
+    startScheduler(bot);
+
+    // --- /addmovie range imports (resumes jobs interrupted by a restart) ---
+    startIndexWorker(bot);
+
     // --- Automatic MongoDB Database Cleanup ---
     setInterval(async () => {
         try {
@@ -225,50 +277,57 @@ async function bootstrap() {
         }
     }, 24 * 60 * 60 * 1000);
 
-    // --- Group Auto-Promoter (Every 5 hours) with rate limiting ---
-    const GROUP_ID = process.env.GROUP_ID;
-    if (GROUP_ID) {
-        const FIVE_HOURS = 5 * 60 * 60 * 1000;
-        let promoInProgress = false;
+    // --- "You might also like" precompute (10 minutes after boot, then every 6 hours) ---
+    setTimeout(refreshRecommendations, 10 * 60 * 1000);
+    setInterval(refreshRecommendations, 6 * 60 * 60 * 1000);
 
-        const postPromotionalMessage = async () => {
-            if (promoInProgress) return;
-            promoInProgress = true;
+    // --- Group Auto-Promoter (per-group schedule, default every 5 hours) with rate limiting ---
+    const PROMO_CHECK_INTERVAL = 10 * 60 * 1000;
+    let promoInProgress = false;
 
-            try {
-                await rateLimiter.wait(); // Rate limit protection
+    const promoMessages = [
+        `🎬 <b>Need clips?</b>\n\nJust type the movie name and I'll send clips to your PM! 🍿\n\n💡 Or try <code>/random</code> for a surprise pick!`,
+        `✨ <b>Looking for clips?</b>\n\nSearch in group and get clips! 🚀\n\n🎲 Not sure what to watch? Try <code>/random</code>!`,
+        `🎥 <b>Want latest clips?</b>\n\nType movie name and tap the link! 📲\n\n🎲 Or use <code>/random</code> for a random movie pick!`,
+        `🔥 <b>Quick Tip:</b>\n\nType any movie name and I'll deliver to your PM! 🎬\n\n🎲 <code>/random</code> - Get a random movie pick!`,
+        `📊 <b>Check what's popular!</b>\n\nUse <code>/trending</code> to see top movies! 🎬`
+    ];
 
-                const promoMessages = [
-                    `🎬 <b>Need clips?</b>\n\nJust type the movie name and I'll send clips to your PM! 🍿\n\n💡 Or try <code>/random</code> for a surprise pick!`,
-                    `✨ <b>Looking for clips?</b>\n\nSearch in group and get clips! 🚀\n\n🎲 Not sure what to watch? Try <code>/random</code>!`,
-                    `🎥 <b>Want latest clips?</b>\n\nType movie name and tap the link! 📲\n\n🎲 Or use <code>/random</code> for a random movie pick!`,
-                    `🔥 <b>Quick Tip:</b>\n\nType any movie name and I'll deliver to your PM! 🎬\n\n🎲 <code>/random</code> - Get a random movie pick!`,
-                    `📊 <b>Check what's popular!</b>\n\nUse <code>/trending</code> to see top movies! 🎬`
-                ];
+    // Post in every group whose promo interval has passed (lastPostedAt survives restarts)
+    const postPromotionalMessages = async () => {
+        if (promoInProgress) return;
+        promoInProgress = true;
 
-                const randomMsg = promoMessages[Math.floor(Math.random() * promoMessages.length)];
+        try {
+            for (const group of listGroups()) {
+                const { enabled, intervalHours, lastPostedAt } = group.promo;
+                if (!enabled) continue;
+                if (lastPostedAt && Date.now() - new Date(lastPostedAt).getTime() < intervalHours * 60 * 60 * 1000) continue;
 
-                const sent = await bot.api.sendMessage(GROUP_ID, randomMsg, { parse_mode: 'HTML' });
+                try {
+                    await rateLimiter.wait(); // Rate limit protection
 
-                // Auto-delete after 1 hour
-                setTimeout(async () => {
-                    try {
-                        await bot.api.deleteMessage(GROUP_ID, sent.message_id);
-                    } catch (_) { }
-                }, 60 * 60 * 1000);
-
-                console.log('📢 Promotional message posted in group');
-            } catch (error) {
-                console.error('❌ Auto-promoter error:', error.message);
-            } finally {
-                promoInProgress = false;
+                    const randomMsg = promoMessages[Math.floor(Math.random() * promoMessages.length)];
+                    const sent = await bot.api.sendMessage(group.chatId, randomMsg, { parse_mode: 'HTML' });
+
+                    // Auto-delete after 1 hour
+                    autoDelete(group.chatId, sent.message_id, 60 * 60 * 1000);
+
+                    await updateGroup(group.chatId, { 'promo.lastPostedAt': new Date() });
+                    recordGroupStat(group.chatId, 'promos');
+                    console.log(`📢 Promotional message posted in group ${group.title || group.chatId}`);
+                } catch (error) {
+                    console.error(`❌ Auto-promoter error (${group.chatId}):`, error.message);
+                }
             }
-        };
+        } finally {
+            promoInProgress = false;
+        }
+    };
 
-        // Post first promo after 5 minutes, then every 5 hours
-        setTimeout(postPromotionalMessage, 5 * 60 * 1000);
-        setInterval(postPromotionalMessage, FIVE_HOURS);
-    }
+    // First check after 5 minutes, then every 10 minutes
+    setTimeout(postPromotionalMessages, 5 * 60 * 1000);
+    setInterval(postPromotionalMessages, PROMO_CHECK_INTERVAL);
 
 }
 
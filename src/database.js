@@ -24,13 +24,23 @@ const connectDB = async () => {
 // Movie Schema
 const movieSchema = new mongoose.Schema({
     title: { type: String, required: true, index: true },
+    aliases: { type: [String], default: [], index: true },
+    nativeTitle: { type: String, default: null }, // Tamil/Hindi spelling, for display and search
     categories: { type: [String], default: [], index: true },
-    messageIds: { type: [Number], default: [] },
+    year: { type: Number, default: null, index: true },
+    language: { type: String, default: null, index: true }, // Normalized: tamil, telugu, hindi...
+    quality: { type: String, default: null },               // Normalized: 480p, 720p, 1080p, 2160p
+    messageIds: { type: [Number], default: [] }, // Legacy, no chat recorded: assumed to be in DB_CHANNEL_ID
     thumbnail: { type: String, default: null },
     files: [{
         fileId: { type: String, required: true },
+        fileUniqueId: { type: String, default: null, index: true }, // Same for every copy of a file; dedupe key
         fileType: { type: String, required: true },
-        caption: { type: String, default: '' }
+        fileSize: { type: Number, default: 0 },
+        duration: { type: Number, default: 0 },  // Seconds, video/audio only
+        caption: { type: String, default: '' },
+        sourceChatId: { type: String, default: null },    // Storage channel message it was indexed from
+        sourceMessageId: { type: Number, default: null }
     }],
     requests: { type: Number, default: 0 },
 }, { timestamps: true });
@@ -53,7 +63,10 @@ const userSchema = new mongoose.Schema({
     badges: { type: [String], default: [] },
     lastActive: { type: Date, default: Date.now },
     isDelivering: { type: Boolean, default: false },
-    lastDeliveryAt: { type: Date, default: null }
+    lastDeliveryAt: { type: Date, default: null },
+    referredBy: { type: Number, default: null },
+    referralCount: { type: Number, default: 0 },
+    favorites: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Movie' }], default: [], index: true } // Starred movies, newest last
 });
 
 // Token Schema (for Token Mode - 24hr access pass per user)
@@ -74,15 +87,241 @@ const paginationSessionSchema = new mongoose.Schema({
     movieIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Movie' }],
     page: { type: Number, default: 0 },
     lastMessageId: { type: Number, default: null },
+    title: { type: String, default: null }, // Category name when listing one category, null for /filters
     createdAt: { type: Date, default: Date.now, expires: 12 * 60 * 60 } // Auto-delete after 12 hours
 });
 
+// Search Session Schema (ranked result list behind one group reply, paged with sr_ callbacks)
+const searchSessionSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    messageId: { type: Number, required: true },
+    query: { type: String, required: true },
+    isFuzzy: { type: Boolean, default: false },
+    movieIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Movie' }],
+    page: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now, expires: 12 * 60 * 60 } // Auto-delete after 12 hours
+});
+searchSessionSchema.index({ chatId: 1, messageId: 1 }, { unique: true });
+
+// Movie Request Schema (titles users asked for after a search miss)
+const movieRequestSchema = new mongoose.Schema({
+    query: { type: String, required: true, index: true },
+    users: { type: [Number], default: [] },
+    votes: { type: Number, default: 0 },
+    status: { type: String, enum: ['open', 'fulfilled', 'rejected'], default: 'open', index: true },
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
+    resolvedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Follow Schema (user subscriptions to a movie or a category, for new-clip digests)
+const followSchema = new mongoose.Schema({
+    userId: { type: Number, required: true, index: true },
+    type: { type: String, enum: ['movie', 'category'], required: true },
+    target: { type: String, required: true }, // Movie _id, or lowercase category name
+    label: { type: String, required: true },  // Display name at follow time
+    createdAt: { type: Date, default: Date.now }
+});
+followSchema.index({ type: 1, target: 1 });
+followSchema.index({ userId: 1, type: 1, target: 1 }, { unique: true });
+
+// Deep Link Schema (short /start codes; Telegram caps start payloads at 64 chars)
+const deepLinkSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    action: { type: String, enum: ['movie', 'token', 'verified', 'referral'], required: true },
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
+    userId: { type: Number, default: null }, // Owner for token/verified links, referrer for referral links
+    singleUse: { type: Boolean, default: false },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null, index: { expires: 0 } }, // Auto-deleted by MongoDB TTL when set
+    createdAt: { type: Date, default: Date.now }
+});
+deepLinkSchema.index({ action: 1, movieId: 1 });
+deepLinkSchema.index({ action: 1, userId: 1 });
+
+// Category Schema (how a category name was tagged, for grouping in /categories)
+const categorySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // Lowercase name
+    label: { type: String, required: true },
+    type: { type: String, enum: ['actor', 'director', 'genre'], default: 'genre' }
+});
+
+// Search Log Schema (one entry per group search, for /searchreport)
+const searchLogSchema = new mongoose.Schema({
+    query: { type: String, required: true, index: true }, // Normalized query plus any filters
+    userId: { type: Number, required: true },
+    chatId: { type: String, required: true },
+    outcome: { type: String, enum: ['hit', 'list', 'miss'], required: true },
+    strategy: { type: String, default: null },            // Strongest ranking signal of the top result
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', default: null },
+    resultCount: { type: Number, default: 0 },
+    latencyMs: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 } // Keep 90 days
+});
+
+// Delivery Schema (one entry per completed delivery, for /history and invite reuse)
+const deliverySchema = new mongoose.Schema({
+    userId: { type: Number, required: true },
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    title: { type: String, required: true },        // Title at delivery time
+    roomId: { type: String, required: true },
+    inviteLink: { type: String, required: true },
+    clipCount: { type: Number, default: 0 },
+    reused: { type: Boolean, default: false },      // Repeat request served from an active lease
+    leaseExpiresAt: { type: Date, required: true }, // Room stays reserved for the user until then
+    createdAt: { type: Date, default: Date.now }
+});
+deliverySchema.index({ userId: 1, createdAt: -1 });
+deliverySchema.index({ userId: 1, movieId: 1, leaseExpiresAt: -1 });
+
+// Recommendation Schema (precomputed "you might also like" list per movie)
+const recommendationSchema = new mongoose.Schema({
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true, unique: true },
+    items: {
+        type: [{
+            _id: false,
+            movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie' },
+            score: Number,
+            coDownloads: Number // Users who got both movies
+        }],
+        default: []
+    },
+    computedAt: { type: Date, default: Date.now }
+});
+
+// Movie Activity Schema (hourly request/delivery counters per movie, for /trending)
+const movieActivitySchema = new mongoose.Schema({
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    bucket: { type: Date, required: true, expires: 35 * 24 * 60 * 60 }, // Start of the hour; kept 35 days
+    requests: { type: Number, default: 0 },
+    deliveries: { type: Number, default: 0 }
+});
+movieActivitySchema.index({ movieId: 1, bucket: 1 }, { unique: true });
+
+// Scheduled Action Schema (deferred deletes, edits and room releases that survive restarts)
+const scheduledActionSchema = new mongoose.Schema({
+    type: { type: String, enum: ['deleteMessage', 'editMessage', 'releaseRoom', 'flushDigests'], required: true },
+    runAt: { type: Date, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: () => new Date(0) }, // Claimed by a poller until then
+    createdAt: { type: Date, default: Date.now }
+});
+scheduledActionSchema.index({ runAt: 1, lockedUntil: 1 });
+
+// Group Schema (search groups the bot serves, each with its own settings and counters)
+const groupSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    title: { type: String, default: '' },
+    link: { type: String, default: null },          // Public or invite link shown to users
+    language: { type: String, default: null },      // Catalog language listed first in results, e.g. "tamil"
+    searchEnabled: { type: Boolean, default: true },
+    welcomeEnabled: { type: Boolean, default: false }, // Opt in with /groupset welcome on
+    welcomeText: { type: String, default: null },   // Null → built-in welcome
+    guard: {
+        enabled: { type: Boolean, default: false },
+        blockLinks: { type: Boolean, default: true },
+        blockMentions: { type: Boolean, default: true },
+        blacklist: {
+            type: [String],
+            default: ['dm', 'msg me', 'buy', 'sell', 'adult', 'porn', 'sex', 'cheap', 'promotion', 'subscribe', 'join my', 'referral', 'earn money']
+        }
+    },
+    promo: {
+        enabled: { type: Boolean, default: true },
+        intervalHours: { type: Number, default: 5 },
+        lastPostedAt: { type: Date, default: null }
+    },
+    stats: {
+        searches: { type: Number, default: 0 },
+        hits: { type: Number, default: 0 },
+        misses: { type: Number, default: 0 },
+        joins: { type: Number, default: 0 },
+        guardDeletes: { type: Number, default: 0 },
+        promos: { type: Number, default: 0 }
+    },
+    addedAt: { type: Date, default: Date.now }
+});
+
+// Storage Channel Schema (channels clips are indexed from and copied out of)
+const storageChannelSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    title: { type: String, default: '' },
+    indexMode: { type: String, enum: ['forward', 'caption', 'both'], default: 'forward' }, // See /indexmode
+    addedAt: { type: Date, default: Date.now }
+});
+
+// Golden Query Schema (query → expected title pairs that /searcheval checks search against)
+const goldenQuerySchema = new mongoose.Schema({
+    query: { type: String, required: true },
+    expected: { type: String, default: null }, // Null → the query should find nothing
+    addedAt: { type: Date, default: Date.now }
+});
+
+// Search Eval Run Schema (one /searcheval result, compared against by the next run)
+const searchEvalRunSchema = new mongoose.Schema({
+    total: { type: Number, default: 0 },
+    passed: { type: Number, default: 0 },
+    autoPicks: { type: Number, default: 0 },        // Queries search answered with a single movie
+    correctPicks: { type: Number, default: 0 },     // ...that were the expected one
+    results: {
+        type: [{
+            _id: false,
+            query: String,
+            expected: String,
+            status: { type: String, enum: ['pass', 'listed', 'wrong', 'miss', 'absent'] },
+            got: String,   // Top result title, if any
+            rank: Number   // Expected movie's position in the results, 0 if not there
+        }],
+        default: []
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Index Job Schema (/addmovie range import, worked through in the background and resumable)
+const indexJobSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    chatId: { type: String, required: true },        // Source channel
+    startId: { type: Number, required: true },
+    endId: { type: Number, required: true },
+    cursor: { type: Number, required: true },        // Next message id to fetch
+    categories: { type: [String], default: [] },     // From the command
+    movieInfo: { type: mongoose.Schema.Types.Mixed, default: {} },   // year/language/quality from the command
+    captionInfo: { type: mongoose.Schema.Types.Mixed, default: {} }, // ...and from captions, first seen wins
+    thumbnail: { type: String, default: null },
+    isNewMovie: { type: Boolean, default: false },
+    added: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },           // Duplicate clips
+    failed: { type: Number, default: 0 },            // Messages that could not be fetched
+    status: { type: String, enum: ['queued', 'running', 'paused', 'cancelled', 'done', 'failed'], default: 'queued', index: true },
+    error: { type: String, default: null },
+    statusChatId: { type: String, default: null },   // Progress message to keep editing
+    statusMessageId: { type: Number, default: null },
+    lockedUntil: { type: Date, default: () => new Date(0) }, // Claimed by the worker until then
+    createdAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null }
+});
+
 const Movie = mongoose.model('Movie', movieSchema);
 const Room = mongoose.model('Room', roomSchema);
 const User = mongoose.model('User', userSchema);
 const Token = mongoose.model('Token', tokenSchema);
 const BotSettings = mongoose.model('BotSettings', botSettingsSchema);
 const PaginationSession = mongoose.model('PaginationSession', paginationSessionSchema);
+const SearchSession = mongoose.model('SearchSession', searchSessionSchema);
+const MovieRequest = mongoose.model('MovieRequest', movieRequestSchema);
+const Follow = mongoose.model('Follow', followSchema);
+const DeepLink = mongoose.model('DeepLink', deepLinkSchema);
+const Category = mongoose.model('Category', categorySchema);
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+const Delivery = mongoose.model('Delivery', deliverySchema);
+const Recommendation = mongoose.model('Recommendation', recommendationSchema);
+const MovieActivity = mongoose.model('MovieActivity', movieActivitySchema);
+const ScheduledAction = mongoose.model('ScheduledAction', scheduledActionSchema);
+const Group = mongoose.model('Group', groupSchema);
+const StorageChannel = mongoose.model('StorageChannel', storageChannelSchema);
+const GoldenQuery = mongoose.model('GoldenQuery', goldenQuerySchema);
+const SearchEvalRun = mongoose.model('SearchEvalRun', searchEvalRunSchema);
+const IndexJob = mongoose.model('IndexJob', indexJobSchema);
 
 module.exports = {
     connectDB,
@@ -91,5 +330,20 @@ module.exports = {
     User,
     Token,
     BotSettings,
-    PaginationSession
+    PaginationSession,
+    SearchSession,
+    MovieRequest,
+    Follow,
+    DeepLink,
+    Category,
+    SearchLog,
+    Delivery,
+    Recommendation,
+    MovieActivity,
+    ScheduledAction,
+    Group,
+    StorageChannel,
+    GoldenQuery,
+    SearchEvalRun,
+    IndexJob
 };
@@ -1,7 +1,18 @@
-const { Movie, Room, User, Token, BotSettings } = require('../database');
-const { cleanMovieName, sleep, sendToLogChannel } = require('../utils/helpers');
-const { getSetting, setSetting } = require('../utils/monetization');
-const { InlineKeyboard } = require('grammy');
+const { Movie, Room, User, Token, BotSettings, MovieRequest, Follow, DeepLink, Category, Delivery, Recommendation, MovieActivity, SearchLog, GoldenQuery, SearchEvalRun, IndexJob } = require('../database');
+const { cleanMovieName, sleep, sendToLogChannel, escapeHtml, formatMovieTitle, downloadFile } = require('../utils/helpers');
+const { getSetting, setSetting, loadSearchMode, getSearchMode, setSearchMode } = require('../utils/monetization');
+const { recordCategories } = require('../utils/categories');
+const { indexMovie, unindexMovie, clearSearchIndex } = require('../utils/searchIndex');
+const { rankMovies } = require('../utils/ranking');
+const { fulfilRequest } = require('../utils/requests');
+const { parseQueryFilters } = require('../utils/queryFilters');
+const { movieCallback, movieCallbackPattern, resolveCallbackMovie } = require('../utils/callbacks');
+const { REPORT_WINDOWS, buildSearchReport } = require('../utils/searchLog');
+const { parseGoldenSet, saveGoldenSet, runSearchEval, buildEvalReport } = require('../utils/searchEval');
+const { IMPORT_MODES, exportCatalog, importCatalog } = require('../utils/catalogTransfer');
+const { TRENDING_WINDOWS, getTrending } = require('../utils/trending');
+const { getGroup, listGroups, getGroupLink, registerGroup, updateGroup, removeGroup } = require('../utils/groups');
+const { InlineKeyboard, InputFile } = require('grammy');
 
 global.MAINTENANCE = false;
 global.LOGS = [];
@@ -20,12 +31,41 @@ const isAdmin = (ctx) => {
 
 // List of admin-only commands to hide from normal users
 const adminCommands = [
-    'addmovie', 'deletemovie', 'addcategory', 'stats', 'top',
+    'addmovie', 'deletemovie', 'addcategory', 'addalias', 'delalias', 'setnative', 'setinfo', 'stats', 'top', 'requests', 'searchreport',
+    'goldenset', 'searcheval', 'indexmode', 'channels', 'addchannel', 'delchannel', 'dedupe', 'jobs', 'pausejob', 'resumejob', 'canceljob', 'export', 'import',
     'addroom', 'rooms', 'cleanroom', 'broadcast', 'maintenance',
-    'logs', 'restartrooms', 'settings', 'setmode', 'setshortlink',
-    'setapikey', 'setforcesub', 'unsetforcesub', 'resetbot'
+    'logs', 'restartrooms', 'settings', 'setmode', 'setsearchmode', 'setshortlink',
+    'setapikey', 'setforcesub', 'unsetforcesub', 'resetbot',
+    'addgroup', 'delgroup', 'groups', 'groupset'
 ];
 
+const SEARCH_MODE_LABELS = { group: '👥 Group only', pm: '💬 PM only', both: '👥 Group + 💬 PM' };
+
+// "Tamil Clips: 120 searches • 64% hit" lines for /stats
+function buildGroupStatsLines() {
+    return listGroups().map(g => {
+        const { searches, hits } = g.stats;
+        const hitRate = searches > 0 ? Math.round((hits / searches) * 100) : 0;
+        return `▸ ${escapeHtml(g.title || g.chatId)}: ${searches} searches • ${hitRate}% hit • ${g.stats.joins} joins\n`;
+    }).join('');
+}
+
+// Settings card for /groupset and /addgroup
+function buildGroupSettingsText(group) {
+    const onOff = (v) => (v ? '✅ on' : '❌ off');
+    return `👥 <b>${escapeHtml(group.title || 'Group')}</b> (<code>${group.chatId}</code>)\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+        `🔍 Search: ${onOff(group.searchEnabled)}\n` +
+        `🗣️ Language: ${group.language || '—'}\n` +
+        `🔗 Link: ${group.link || '—'}\n` +
+        `👋 Welcome: ${onOff(group.welcomeEnabled)}${group.welcomeText ? ' (custom)' : ''}\n` +
+        `🛡️ Guard: ${onOff(group.guard.enabled)} • links ${onOff(group.guard.blockLinks)} • mentions ${onOff(group.guard.blockMentions)}\n` +
+        `🚫 Blocked words: ${group.guard.blacklist.length > 0 ? group.guard.blacklist.map(w => `<code>${escapeHtml(w)}</code>`).join(', ') : '—'}\n` +
+        `📢 Promo: ${onOff(group.promo.enabled)} every ${group.promo.intervalHours}h\n\n` +
+        `💡 <code>/groupset [chatId] setting value</code>\n` +
+        `Settings: search, guard, links, mentions, promo (on/off) • promohours N • language tamil|off • link URL|off • welcome on|off|default|text • block word • unblock word`;
+}
+
 module.exports = (bot) => {
     // Hide admin commands from non-admin users
     bot.use(async (ctx, next) => {
@@ -85,8 +125,15 @@ module.exports = (bot) => {
         helpText += `/start - Start the bot\n`;
         helpText += `/help - Show this guide\n`;
         helpText += `/filters - Browse all movies\n`;
+        helpText += `/categories - Browse by actor, director & genre\n`;
         helpText += `/myprofile - Your stats & badges\n`;
-        helpText += `/todaystats - Today's activity\n\n`;
+        helpText += `/follow - Get new-clip alerts\n`;
+        helpText += `/favorites - Your starred movies\n`;
+        helpText += `/history - Your recent clips\n`;
+        helpText += `/refer - Invite friends\n`;
+        helpText += `/trending - What's hot (24h, 7d, 30d)\n`;
+        helpText += `/todaystats - Today's activity\n`;
+        helpText += `@${ctx.me.username} movie - Search from any chat\n\n`;
 
         // TIPS
         helpText += `💡 TIPS\n`;
@@ -94,7 +141,9 @@ module.exports = (bot) => {
         helpText += `✓ Don't worry about spelling!\n`;
         helpText += `✓ I fix typos automatically\n`;
         helpText += `✓ Spaces don't matter\n`;
-        helpText += `✓ Use /filters to browse movies\n\n`;
+        helpText += `✓ Use /filters to browse movies\n`;
+        helpText += `✓ Narrow it down: <code>leo year:2023 lang:tamil</code>\n`;
+        helpText += `✓ Search a category: <code>#vijay 2019</code>\n\n`;
 
         // NEW TO TELEGRAM?
         helpText += `📱 NEW TO TELEGRAM?\n`;
@@ -111,11 +160,31 @@ module.exports = (bot) => {
             helpText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
             helpText += `/stats - Full dashboard\n`;
             helpText += `/addmovie - Add new movie\n`;
+            helpText += `/jobs - Running /addmovie imports\n`;
+            helpText += `/export - Download the catalog (JSON + CSV)\n`;
+            helpText += `/import - Load a JSON export (reply to it)\n`;
+            helpText += `/channels - Storage channels & clip counts\n`;
+            helpText += `/addchannel - Index from another channel\n`;
+            helpText += `/indexmode - Index by channel name or caption\n`;
+            helpText += `/dedupe - Remove duplicate clips (add dry to check)\n`;
             helpText += `/delmovie - Delete movie\n`;
             helpText += `/thumb - Set thumbnail\n`;
+            helpText += `/addalias - Add alternate titles\n`;
+            helpText += `/delalias - Remove alternate titles\n`;
+            helpText += `/setnative - Set Tamil/Hindi title\n`;
+            helpText += `/setinfo - Set year/language/quality\n`;
+            helpText += `/requests - Open movie requests\n`;
+            helpText += `/searchreport - Search hits & misses\n`;
+            helpText += `/goldenset - Upload search test queries\n`;
+            helpText += `/searcheval - Test search against them\n`;
+            helpText += `/groups - Search groups & their stats\n`;
+            helpText += `/addgroup - Register a search group\n`;
+            helpText += `/groupset - Per-group settings\n`;
+            helpText += `/top - Top movies (add 24h, 7d or 30d)\n`;
             helpText += `/broadcast - Send to all users\n`;
             helpText += `/rooms - View room status\n`;
             helpText += `/settings - Bot settings\n`;
+            helpText += `/setsearchmode - Search in group, PM or both\n`;
             helpText += `/maintenance - Toggle mode\n`;
             helpText += `/resetbot - Reset all data\n\n`;
         }
@@ -154,7 +223,8 @@ module.exports = (bot) => {
                     `👤 <b>YOUR PROFILE</b>\n\n` +
                     `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
                     `🔍 <b>Searches:</b> 0\n` +
-                    `📥 <b>Downloads:</b> 0\n\n` +
+                    `📥 <b>Downloads:</b> 0\n` +
+                    `⭐ <b>Favorites:</b> 0\n\n` +
                     `🎖️ <b>Badges:</b> None yet!\n\n` +
                     `💡 <i>Start searching movies to earn badges!</i>`,
                     { parse_mode: 'HTML' }
@@ -163,6 +233,15 @@ module.exports = (bot) => {
 
             const badges = user.badges.length > 0 ? user.badges.join('\n') : 'None yet!';
 
+            // Latest starred movies (still in the catalog)
+            const favoriteIds = (user.favorites || []).slice(-5).reverse();
+            const favoriteMovies = await Movie.find({ _id: { $in: favoriteIds } }).select('title nativeTitle').lean();
+            const favorites = favoriteIds
+                .map(id => favoriteMovies.find(m => m._id.equals(id)))
+                .filter(Boolean)
+                .map(m => `• ${escapeHtml(formatMovieTitle(m))}`)
+                .join('\n');
+
             // Calculate progress to next badge
             let progress = '';
             if (user.downloadCount < 3) {
@@ -179,7 +258,9 @@ module.exports = (bot) => {
                 `👤 <b>YOUR PROFILE</b>\n\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
                 `🔍 <b>Searches:</b> ${user.searchCount || 0}\n` +
-                `📥 <b>Downloads:</b> ${user.downloadCount || 0}\n\n` +
+                `📥 <b>Downloads:</b> ${user.downloadCount || 0}\n` +
+                `⭐ <b>Favorites:</b> ${user.favorites?.length || 0}\n\n` +
+                (favorites ? `${favorites}\n<i>All favorites: /favorites</i>\n\n` : '') +
                 `🎖️ <b>Your Badges:</b>\n${badges}\n\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                 `${progress}`,
@@ -267,10 +348,21 @@ module.exports = (bot) => {
 
         try {
             await Movie.deleteMany({});
+            clearSearchIndex();
             await User.deleteMany({});
             await Token.deleteMany({});
             await Room.deleteMany({});
             await BotSettings.deleteMany({});
+            await loadSearchMode();
+            await MovieRequest.deleteMany({});
+            await Follow.deleteMany({});
+            await DeepLink.deleteMany({});
+            await Category.deleteMany({});
+            await Delivery.deleteMany({});
+            await Recommendation.deleteMany({});
+            await MovieActivity.deleteMany({});
+            await SearchEvalRun.deleteMany({});
+            await IndexJob.deleteMany({});
 
             await ctx.editMessageText(
                 `✅ <b>RESET COMPLETE</b>\n\n` +
@@ -298,8 +390,9 @@ module.exports = (bot) => {
     bot.command('deletemovie', async (ctx) => {
         if (!isAdmin(ctx)) return;
         const title = cleanMovieName(ctx.match);
-        const res = await Movie.deleteOne({ title });
-        ctx.reply(res.deletedCount > 0 ? `🗑️ Deleted: ${title}` : `❌ Not found: ${title}`);
+        const deleted = await Movie.findOneAndDelete({ title });
+        if (deleted) unindexMovie(deleted._id);
+        ctx.reply(deleted ? `🗑️ Deleted: ${title}` : `❌ Not found: ${title}`);
     });
 
     // Add/update categories for existing movie
@@ -327,6 +420,8 @@ module.exports = (bot) => {
 
         movie.categories = [...new Set([...movie.categories, ...categories])];
         await movie.save();
+        indexMovie(movie);
+        await recordCategories(categories.map(name => ({ name, type: 'genre' })));
 
         ctx.reply(
             `✅ <b>Categories Updated!</b>\n\n` +
@@ -336,6 +431,166 @@ module.exports = (bot) => {
         );
     });
 
+    // Add alternate titles (aliases) to an existing movie
+    bot.command('addalias', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const args = ctx.match.split('|');
+        if (args.length < 2) {
+            return ctx.reply(
+                `❌ <b>Usage:</b>\n` +
+                `/addalias MovieName | alias1, alias2\n\n` +
+                `📝 <b>Example:</b>\n` +
+                `/addalias Vikram | vikram 2022, விக்ரம், vikram kamal\n\n` +
+                `💡 Aliases are matched by search just like the title!`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const title = cleanMovieName(args[0]);
+        const aliases = args[1].split(',').map(a => cleanMovieName(a)).filter(a => a.length > 0 && a !== title);
+        if (aliases.length === 0) {
+            return ctx.reply('❌ No valid aliases provided!');
+        }
+
+        const movie = await Movie.findOne({ title });
+        if (!movie) {
+            return ctx.reply(`❌ Movie not found: ${title}`);
+        }
+
+        movie.aliases = [...new Set([...movie.aliases, ...aliases])];
+        await movie.save();
+        indexMovie(movie);
+
+        ctx.reply(
+            `✅ <b>Aliases Updated!</b>\n\n` +
+            `🎬 <b>${movie.title}</b>\n` +
+            `🏷️ Aliases: ${movie.aliases.join(', ')}`,
+            { parse_mode: 'HTML' }
+        );
+    });
+
+    // Remove alternate titles from a movie
+    bot.command('delalias', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const args = ctx.match.split('|');
+        if (args.length < 2) {
+            return ctx.reply(
+                `❌ <b>Usage:</b>\n` +
+                `/delalias MovieName | alias1, alias2\n\n` +
+                `📝 <b>Example:</b>\n` +
+                `/delalias Vikram | vikram kamal`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const title = cleanMovieName(args[0]);
+        const toRemove = args[1].split(',').map(a => cleanMovieName(a)).filter(a => a.length > 0);
+
+        const movie = await Movie.findOne({ title });
+        if (!movie) {
+            return ctx.reply(`❌ Movie not found: ${title}`);
+        }
+
+        const before = movie.aliases.length;
+        movie.aliases = movie.aliases.filter(a => !toRemove.includes(a));
+        if (movie.aliases.length === before) {
+            return ctx.reply(`❌ None of those aliases exist on ${movie.title}`);
+        }
+        await movie.save();
+        indexMovie(movie);
+
+        ctx.reply(
+            `✅ <b>Aliases Removed!</b>\n\n` +
+            `🎬 <b>${movie.title}</b>\n` +
+            `🏷️ Aliases: ${movie.aliases.length > 0 ? movie.aliases.join(', ') : 'None'}`,
+            { parse_mode: 'HTML' }
+        );
+    });
+
+    // Set (or clear) the native-script title shown next to the movie name
+    bot.command('setnative', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const args = ctx.match.split('|');
+        if (args.length < 2) {
+            return ctx.reply(
+                `❌ <b>Usage:</b>\n` +
+                `/setnative MovieName | native title\n\n` +
+                `📝 <b>Example:</b>\n` +
+                `/setnative Leo | லியோ\n\n` +
+                `💡 Use <code>off</code> as the native title to clear it.`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const title = cleanMovieName(args[0]);
+        const nativeTitle = args[1].replace(/\s+/g, ' ').trim();
+        if (!nativeTitle) {
+            return ctx.reply('❌ Native title cannot be empty!');
+        }
+
+        const movie = await Movie.findOne({ title });
+        if (!movie) {
+            return ctx.reply(`❌ Movie not found: ${title}`);
+        }
+
+        movie.nativeTitle = nativeTitle.toLowerCase() === 'off' ? null : nativeTitle;
+        await movie.save();
+        indexMovie(movie);
+
+        ctx.reply(
+            movie.nativeTitle
+                ? `✅ <b>Native Title Set!</b>\n\n🎬 <b>${movie.title}</b>\n🔤 ${movie.nativeTitle}`
+                : `✅ Native title cleared for <b>${movie.title}</b>`,
+            { parse_mode: 'HTML' }
+        );
+    });
+
+    // Set the structured fields used by year:/lang:/quality: search filters
+    bot.command('setinfo', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const args = ctx.match.split('|');
+        if (args.length < 2) {
+            return ctx.reply(
+                `❌ <b>Usage:</b>\n` +
+                `/setinfo MovieName | year:2023 lang:tamil quality:1080p\n\n` +
+                `💡 Use <code>year:off</code> (or lang:off, quality:off) to clear a field.`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const title = cleanMovieName(args[0]);
+        const movie = await Movie.findOne({ title });
+        if (!movie) {
+            return ctx.reply(`❌ Movie not found: ${title}`);
+        }
+
+        const { filters } = parseQueryFilters(args[1]);
+        const updates = {};
+        ['year', 'language', 'quality'].forEach(field => {
+            if (filters[field]) updates[field] = filters[field];
+        });
+        (args[1].toLowerCase().match(/\b(year|lang|language|quality):off\b/g) || []).forEach(token => {
+            const key = token.split(':')[0];
+            updates[key === 'lang' ? 'language' : key] = null;
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return ctx.reply('❌ Nothing to set! Example: year:2023 lang:tamil quality:1080p');
+        }
+
+        Object.assign(movie, updates);
+        await movie.save();
+
+        ctx.reply(
+            `✅ <b>Movie Info Updated!</b>\n\n` +
+            `🎬 <b>${movie.title}</b>\n` +
+            `📅 Year: ${movie.year || '—'}\n` +
+            `🗣️ Language: ${movie.language || '—'}\n` +
+            `📺 Quality: ${movie.quality || '—'}`,
+            { parse_mode: 'HTML' }
+        );
+    });
+
     bot.command('stats', async (ctx) => {
         if (!isAdmin(ctx)) return;
 
@@ -369,8 +624,8 @@ module.exports = (bot) => {
         const totalSearches = allUsers.reduce((sum, u) => sum + (u.searchCount || 0), 0);
         const totalDownloads = allUsers.reduce((sum, u) => sum + (u.downloadCount || 0), 0);
 
-        // Top searched movies
-        const topMovies = await Movie.find().sort({ requests: -1 }).limit(10);
+        // Top movies by recent activity
+        const { items: topMovies, isFallback: topAllTime } = await getTrending('7d', 10);
 
         // Top downloaders
         const topUsers = await User.find().sort({ downloadCount: -1 }).limit(10);
@@ -444,14 +699,21 @@ module.exports = (bot) => {
         statsText += `🔒 <b>Maintenance:</b> ${maintenanceMode ? 'ACTIVE ⚠️' : 'CLEAN ✅'}\n`;
 
         if (topMovies.length > 0) {
-            statsText += `\n🔥 TOP MOVIES\n`;
+            statsText += `\n🔥 TOP MOVIES (${topAllTime ? 'ALL TIME' : '7 DAYS'})\n`;
             statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
-            topMovies.forEach((m, i) => {
+            topMovies.forEach(({ movie: m, requests, deliveries }, i) => {
                 const clipCount = m.files?.length || m.messageIds?.length || 0;
-                statsText += `${i + 1}. ${m.title} - ${m.requests} searches | ${clipCount} clips\n`;
+                statsText += `${i + 1}. ${m.title} - ${requests} searches | ${deliveries} downloads | ${clipCount} clips\n`;
             });
         }
 
+        const groupLines = buildGroupStatsLines();
+        if (groupLines) {
+            statsText += `\n👥 GROUPS\n`;
+            statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+            statsText += groupLines;
+        }
+
         if (topUsers.length > 0) {
             statsText += `\n⭐ TOP DOWNLOADERS\n`;
             statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
@@ -470,25 +732,30 @@ module.exports = (bot) => {
     });
 
 
+    // /top - all-time most searched; /top 24h|7d|30d - ranked by recent activity
     bot.command('top', async (ctx) => {
         if (!isAdmin(ctx)) return;
-        const topMovies = await Movie.find().sort({ requests: -1 }).limit(10);
+        const windowKey = ctx.match.trim().toLowerCase();
+        const windowed = TRENDING_WINDOWS[windowKey] ? await getTrending(windowKey, 10) : null;
+        const topMovies = windowed
+            ? windowed.items
+            : (await Movie.find().sort({ requests: -1 }).limit(10)).map(movie => ({ movie, requests: movie.requests }));
 
         if (topMovies.length === 0) {
             return ctx.reply('No movies yet!');
         }
 
         const keyboard = new InlineKeyboard();
-        topMovies.forEach((m, i) => {
+        topMovies.forEach(({ movie: m }, i) => {
             const icon = i === 0 ? '👑' : '🎬';
-            keyboard.text(`${icon} ${m.title}`, `top_${m.title}`).row();
+            keyboard.text(`${icon} ${m.title}`, movieCallback('top', m)).row();
         });
 
-        let text = `🔥 TOP MOVIES\n`;
+        let text = `🔥 TOP MOVIES${windowed && !windowed.isFallback ? ` - LAST ${TRENDING_WINDOWS[windowKey].label}` : ''}\n`;
         text += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
-        topMovies.forEach((m, i) => {
+        topMovies.forEach(({ movie: m, requests }, i) => {
             const icon = i === 0 ? '👑' : '🔸';
-            text += `${icon} ${i + 1}. ${m.title} - ${m.requests} searches\n`;
+            text += `${icon} ${i + 1}. ${m.title} - ${requests} searches\n`;
         });
 
         text += `\n━━━━━━━━━ ✦ ━━━━━━━━━\n`;
@@ -497,6 +764,462 @@ module.exports = (bot) => {
         await ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
     });
 
+    // ────────────────────────────────────────────────────────────────────
+    // MOVIE REQUESTS - most-voted open requests, fulfil or reject
+    // ────────────────────────────────────────────────────────────────────
+    const REQUESTS_PER_PAGE = 8;
+
+    const buildRequestsPage = async (page) => {
+        const filter = { status: 'open', votes: { $gt: 0 } };
+        const total = await MovieRequest.countDocuments(filter);
+        const totalPages = Math.max(1, Math.ceil(total / REQUESTS_PER_PAGE));
+        page = Math.min(Math.max(0, page), totalPages - 1);
+
+        const requests = await MovieRequest.find(filter)
+            .sort({ votes: -1, updatedAt: -1 })
+            .skip(page * REQUESTS_PER_PAGE)
+            .limit(REQUESTS_PER_PAGE);
+
+        let text = `🙋 <b>OPEN REQUESTS</b> (${total})\n`;
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+        if (total === 0) text += `No open requests right now.`;
+        else text += `Tap a request to fulfil or reject it.\n📄 Page ${page + 1}/${totalPages}`;
+
+        const keyboard = new InlineKeyboard();
+        requests.forEach(r => {
+            keyboard.text(`🔍 ${r.query} (${r.votes})`, `rqv_${r._id}`).row();
+        });
+
+        if (totalPages > 1) {
+            if (page > 0) keyboard.text('⬅️ Prev', `rqp_${page - 1}`);
+            if (page < totalPages - 1) keyboard.text('Next ➡️', `rqp_${page + 1}`);
+        }
+
+        return { text, keyboard };
+    };
+
+    bot.command('requests', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const { text, keyboard } = await buildRequestsPage(0);
+        await ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
+    });
+
+    bot.callbackQuery(/^rqp_(\d+)$/, async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        await ctx.answerCallbackQuery();
+        const { text, keyboard } = await buildRequestsPage(parseInt(ctx.match[1]));
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+
+    bot.callbackQuery(/^rqv_([a-f0-9]{24})$/, async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const request = await MovieRequest.findById(ctx.match[1]);
+        if (!request || request.status !== 'open') {
+            return ctx.answerCallbackQuery({ text: '⚠️ Request already resolved', show_alert: true });
+        }
+        await ctx.answerCallbackQuery();
+
+        const [best] = await rankMovies(request.query, 1);
+        const keyboard = new InlineKeyboard()
+            .text('✅ Fulfil', `rqd_${request._id}`)
+            .text('🗑️ Reject', `rqx_${request._id}`).row()
+            .text('◀ Back', 'rqp_0');
+
+        await ctx.editMessageText(
+            `🙋 <b>REQUEST</b>\n` +
+            `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+            `🔍 Query: <code>${escapeHtml(request.query)}</code>\n` +
+            `👥 Votes: ${request.votes}\n` +
+            `📅 First asked: ${request.createdAt.toLocaleDateString()}\n` +
+            `🎬 Best match: ${best ? `<b>${escapeHtml(best.movie.title)}</b>` : '<i>none indexed yet</i>'}\n\n` +
+            `<i>Fulfil sends every requester a link to the best match.</i>`,
+            { parse_mode: 'HTML', reply_markup: keyboard }
+        ).catch(() => { });
+    });
+
+    bot.callbackQuery(/^rqd_([a-f0-9]{24})$/, async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const request = await MovieRequest.findById(ctx.match[1]);
+        if (!request || request.status !== 'open') {
+            return ctx.answerCallbackQuery({ text: '⚠️ Request already resolved', show_alert: true });
+        }
+
+        const [best] = await rankMovies(request.query, 1);
+        if (!best) {
+            return ctx.answerCallbackQuery({ text: '❌ No matching movie indexed yet', show_alert: true });
+        }
+        await ctx.answerCallbackQuery({ text: '📨 Notifying requesters...' });
+
+        const notified = await fulfilRequest(bot, request, best.movie);
+        const header = notified > 0 || request.users.length === 0
+            ? `✅ <b>Request Fulfilled</b>`
+            : `⚠️ <b>Nobody could be notified</b> - request left open`;
+        await ctx.editMessageText(
+            `${header}\n\n` +
+            `🔍 <code>${escapeHtml(request.query)}</code> → <b>${escapeHtml(best.movie.title)}</b>\n` +
+            `📨 Notified: ${notified}/${request.users.length} users`,
+            { parse_mode: 'HTML', reply_markup: new InlineKeyboard().text('◀ Back', 'rqp_0') }
+        ).catch(() => { });
+    });
+
+    bot.callbackQuery(/^rqx_([a-f0-9]{24})$/, async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const request = await MovieRequest.findOneAndUpdate(
+            { _id: ctx.match[1], status: 'open' },
+            { status: 'rejected', resolvedAt: new Date() },
+            { returnDocument: 'after' }
+        );
+        if (!request) {
+            return ctx.answerCallbackQuery({ text: '⚠️ Request already resolved', show_alert: true });
+        }
+        await ctx.answerCallbackQuery({ text: '🗑️ Request rejected' });
+
+        const { text, keyboard } = await buildRequestsPage(0);
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+
+    // ────────────────────────────────────────────────────────────────────
+    // SEARCH REPORT - what users look for and what we're missing
+    // ────────────────────────────────────────────────────────────────────
+    const buildSearchReportMessage = async (windowKey) => {
+        const report = await buildSearchReport(windowKey);
+        const pct = (n) => (report.total > 0 ? Math.round((n / report.total) * 100) : 0);
+
+        let text = `📈 <b>SEARCH REPORT</b> - last ${windowKey}\n`;
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+        text += `🔍 Searches: <b>${report.total}</b> • ⚡ avg ${report.avgLatency}ms\n`;
+        text += `✅ Auto-picked: ${report.hits} (${pct(report.hits)}%)\n`;
+        text += `📋 Result list: ${report.lists} (${pct(report.lists)}%)\n`;
+        text += `❌ Misses: ${report.misses} (${pct(report.misses)}%)\n\n`;
+
+        if (report.strategies.length > 0) {
+            text += `🧭 <b>BY STRATEGY</b> (hit rate)\n`;
+            report.strategies.forEach(s => {
+                text += `▸ ${s.strategy}: ${s.count} • ${s.hitRate}% hit • ${s.latency}ms\n`;
+            });
+            text += `\n`;
+        }
+
+        text += `❌ <b>TOP MISSES</b> - index these next\n`;
+        text += report.topMisses.length > 0
+            ? report.topMisses.map((q, i) => `${i + 1}. <code>${escapeHtml(q.query)}</code> - ${q.count}x (${q.users} users)`).join('\n')
+            : `<i>No misses</i>`;
+        text += `\n\n🔥 <b>TOP QUERIES</b>\n`;
+        text += report.topQueries.length > 0
+            ? report.topQueries.map((q, i) => `${i + 1}. <code>${escapeHtml(q.query)}</code> - ${q.count}x`).join('\n')
+            : `<i>No searches yet</i>`;
+
+        const keyboard = new InlineKeyboard();
+        Object.keys(REPORT_WINDOWS).forEach(key => {
+            keyboard.text(key === windowKey ? `• ${key} •` : key, `srep_${key}`);
+        });
+
+        return { text, keyboard };
+    };
+
+    bot.command('searchreport', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const windowKey = REPORT_WINDOWS[ctx.match.trim()] ? ctx.match.trim() : '7d';
+        const { text, keyboard } = await buildSearchReportMessage(windowKey);
+        await ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
+    });
+
+    bot.callbackQuery(/^srep_(24h|7d|30d)$/, async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        await ctx.answerCallbackQuery();
+        const { text, keyboard } = await buildSearchReportMessage(ctx.match[1]);
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+
+    // ────────────────────────────────────────────────────────────────────
+    // SEARCH EVAL - golden query set and regression report
+    // ────────────────────────────────────────────────────────────────────
+    // Send a document with /goldenset as caption, or reply /goldenset to one
+    bot.command('goldenset', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const doc = ctx.message.document || ctx.message.reply_to_message?.document;
+
+        if (!doc) {
+            const count = await GoldenQuery.countDocuments();
+            return ctx.reply(
+                `🧪 <b>GOLDEN SET</b>\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `📋 <b>Stored queries:</b> ${count}\n\n` +
+                `📝 Upload a .txt/.csv file (caption <code>/goldenset</code>, or reply to it), one pair per line:\n` +
+                `<code>leo das => Leo</code>\n` +
+                `<code>jailr | Jailer</code>\n` +
+                `<code>hello => -</code>  <i>(should find nothing)</i>\n\n` +
+                `JSON works too: <code>[{"query": "...", "expected": "..."}]</code>\n` +
+                `See golden-set.example.txt in the repo for a starter set.\n` +
+                `Uploading replaces the current set. Then run /searcheval.`,
+                { parse_mode: 'HTML' }
+            );
+        }
+        if (doc.file_size > 2 * 1024 * 1024) return ctx.reply('❌ File too large (max 2 MB).');
+
+        try {
+            const { pairs, skipped } = parseGoldenSet((await downloadFile(ctx.api, doc.file_id)).toString('utf-8'));
+            if (pairs.length === 0) return ctx.reply('❌ No query pairs found. Send /goldenset without a file for the format.');
+
+            await saveGoldenSet(pairs);
+            await ctx.reply(
+                `✅ <b>Golden set saved!</b>\n\n` +
+                `📋 Queries: ${pairs.length}\n` +
+                `${skipped > 0 ? `⚠️ Skipped: ${skipped} unreadable line(s)\n` : ''}` +
+                `\n🧪 Run /searcheval to test search against it.`,
+                { parse_mode: 'HTML' }
+            );
+        } catch (e) {
+            console.error('Golden set error:', e);
+            ctx.reply(`❌ Could not read the file: ${escapeHtml(e.message)}`, { parse_mode: 'HTML' });
+        }
+    });
+
+    bot.command('searcheval', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const status = await ctx.reply('🧪 Running golden set against the current catalog...');
+
+        try {
+            const evaluation = await runSearchEval();
+            if (!evaluation) {
+                return ctx.api.editMessageText(ctx.chat.id, status.message_id, '📭 No golden set yet. Upload one with /goldenset.');
+            }
+            await ctx.api.editMessageText(ctx.chat.id, status.message_id, buildEvalReport(evaluation.run, evaluation.previous), { parse_mode: 'HTML' });
+        } catch (e) {
+            console.error('Search eval error:', e);
+            await ctx.api.editMessageText(ctx.chat.id, status.message_id, `❌ Eval failed: ${e.message}`).catch(() => { });
+        }
+    });
+
+    // ────────────────────────────────────────────────────────────────────
+    // CATALOG TRANSFER - /export and /import between deployments
+    // ────────────────────────────────────────────────────────────────────
+    bot.command('export', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const status = await ctx.reply('📦 Exporting catalog...');
+
+        try {
+            const { json, csv, count } = await exportCatalog();
+            const stamp = new Date().toISOString().slice(0, 10);
+            await ctx.replyWithDocument(new InputFile(json, `catalog-${stamp}.json`), {
+                caption: `📦 <b>${count} movies</b> • full export\n\n` +
+                    `♻️ Reply <code>/import</code> to this file to load it.\n` +
+                    `⚠️ File ids only work for this bot token.`,
+                parse_mode: 'HTML'
+            });
+            await ctx.replyWithDocument(new InputFile(csv, `catalog-${stamp}.csv`), {
+                caption: `📊 <b>${count} movies</b> • spreadsheet view (not importable)`,
+                parse_mode: 'HTML'
+            });
+            await ctx.api.deleteMessage(ctx.chat.id, status.message_id).catch(() => { });
+        } catch (e) {
+            console.error('Export error:', e);
+            await ctx.api.editMessageText(ctx.chat.id, status.message_id, `❌ Export failed: ${e.message}`).catch(() => { });
+        }
+    });
+
+    // Reply to an export: /import [merge|skip|overwrite] shows a dry run, add "apply" to write
+    bot.command('import', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const doc = ctx.message.reply_to_message?.document || ctx.message.document;
+        const args = ctx.match.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const mode = args.find(a => IMPORT_MODES.includes(a)) || 'merge';
+        const apply = args.includes('apply');
+
+        if (!doc) {
+            return ctx.reply(
+                `♻️ <b>IMPORT CATALOG</b>\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+                `Reply to a JSON file from /export with:\n` +
+                `<code>/import [merge|skip|overwrite]</code> - dry run\n` +
+                `<code>/import merge apply</code> - write it\n\n` +
+                `<b>When a title already exists:</b>\n` +
+                `▫️ <code>merge</code> - add new clips, aliases and categories, fill empty fields\n` +
+                `▫️ <code>skip</code> - leave it alone\n` +
+                `▫️ <code>overwrite</code> - replace it with the file's version\n\n` +
+                `💡 Clips already in another movie are never copied.`,
+                { parse_mode: 'HTML' }
+            );
+        }
+        if (doc.file_size > 20 * 1024 * 1024) return ctx.reply('❌ File too large (max 20 MB).');
+
+        const status = await ctx.reply(apply ? `♻️ Importing (${mode})...` : `🔍 Checking file (${mode}, dry run)...`);
+        try {
+            const text = (await downloadFile(ctx.api, doc.file_id)).toString('utf-8');
+            const summary = await importCatalog(text, { mode, apply });
+
+            const invalidLines = summary.invalid.slice(0, 8)
+                .map(i => `▸ ${i.index ? `#${i.index} ` : ''}${escapeHtml(i.title || '?')}: ${i.error}\n`)
+                .join('');
+            const conflictLine = summary.conflicts.length > 0
+                ? `⚔️ <b>Already exist:</b> ${summary.conflicts.slice(0, 5).map(escapeHtml).join(', ')}${summary.conflicts.length > 5 ? ` +${summary.conflicts.length - 5} more` : ''}\n`
+                : '';
+
+            await ctx.api.editMessageText(ctx.chat.id, status.message_id,
+                `${apply ? '✅ <b>IMPORT COMPLETE</b>' : '🔍 <b>IMPORT DRY RUN</b>'} • ${mode}\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `📋 <b>Movies in file:</b> ${summary.total}\n` +
+                `🆕 <b>${apply ? 'Created' : 'Would create'}:</b> ${summary.created}\n` +
+                `✏️ <b>${apply ? 'Updated' : 'Would update'}:</b> ${summary.updated}\n` +
+                `⏭️ <b>Skipped:</b> ${summary.skipped} • <b>Unchanged:</b> ${summary.unchanged}\n` +
+                `📂 <b>Clips ${apply ? 'added' : 'to add'}:</b> ${summary.filesAdded}\n` +
+                `${summary.duplicateFiles > 0 ? `🔁 <b>Clips held by other movies:</b> ${summary.duplicateFiles}\n` : ''}` +
+                `${summary.badFiles > 0 ? `⚠️ <b>Unreadable clips:</b> ${summary.badFiles}\n` : ''}` +
+                `${conflictLine}` +
+                `${summary.invalid.length > 0 ? `❌ <b>Rejected:</b> ${summary.invalid.length}\n${invalidLines}` : ''}` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `${apply ? '🔍 Search index updated.' : `💡 Reply <code>/import ${mode} apply</code> to the file to write this.`}`,
+                { parse_mode: 'HTML' }
+            );
+
+            if (apply) {
+                await sendToLogChannel(bot, `♻️ <b>Catalog Import</b> (${mode})\n\n🆕 Created: ${summary.created}\n✏️ Updated: ${summary.updated}\n📂 Clips: ${summary.filesAdded}`);
+            }
+        } catch (e) {
+            console.error('Import error:', e);
+            await ctx.api.editMessageText(ctx.chat.id, status.message_id, `❌ Import failed: ${escapeHtml(e.message)}`, { parse_mode: 'HTML' }).catch(() => { });
+        }
+    });
+
+    // ────────────────────────────────────────────────────────────────────
+    // SEARCH GROUPS - register groups and tune each one
+    // ────────────────────────────────────────────────────────────────────
+    // Chat id from the first argument, or the current group. Returns { chatId, args }.
+    const resolveGroupTarget = (ctx) => {
+        const args = ctx.match.trim().split(/\s+/).filter(Boolean);
+        if (/^-\d+$/.test(args[0] || '')) return { chatId: args.shift(), args };
+        if (ctx.chat.type !== 'private') return { chatId: String(ctx.chat.id), args };
+        return { chatId: null, args };
+    };
+
+    // /addgroup in the group itself, or /addgroup -100XXXX from PM
+    bot.command('addgroup', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const { chatId } = resolveGroupTarget(ctx);
+        if (!chatId) return ctx.reply('Usage: /addgroup -100XXXXXX (or send /addgroup inside the group)');
+
+        try {
+            const chat = await ctx.api.getChat(chatId);
+            if (!['group', 'supergroup'].includes(chat.type)) {
+                return ctx.reply('❌ That chat is not a group.');
+            }
+            const link = chat.username ? `https://t.me/${chat.username}` : chat.invite_link || null;
+            const group = await registerGroup(chatId, { title: chat.title || '', link });
+
+            await ctx.reply(`✅ <b>Search group registered!</b>\n\n` + buildGroupSettingsText(group), {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+            await sendToLogChannel(bot, `👥 <b>Group Registered</b>\n${escapeHtml(group.title)} (<code>${group.chatId}</code>)`);
+        } catch (e) {
+            ctx.reply(`❌ Could not read that group. Add me to it first!\n\n${e.message}`);
+        }
+    });
+
+    bot.command('delgroup', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const { chatId } = resolveGroupTarget(ctx);
+        if (!chatId) return ctx.reply('Usage: /delgroup -100XXXXXX (or send /delgroup inside the group)');
+
+        const removed = await removeGroup(chatId);
+        ctx.reply(removed
+            ? `🗑️ Group <code>${chatId}</code> removed. I'll stop answering searches there.`
+            : `❌ Group <code>${chatId}</code> is not registered.`,
+        { parse_mode: 'HTML' });
+    });
+
+    // Every group with its settings summary and counters
+    bot.command('groups', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const groups = listGroups();
+        if (groups.length === 0) {
+            return ctx.reply('📭 No search groups yet. Send /addgroup inside a group to register it.');
+        }
+
+        // Searches per group over the last 7 days, from the search log
+        const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const recent = await SearchLog.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            { $group: { _id: '$chatId', count: { $sum: 1 }, hits: { $sum: { $cond: [{ $eq: ['$outcome', 'hit'] }, 1, 0] } } } }
+        ]);
+
+        let text = `👥 <b>SEARCH GROUPS</b> (${groups.length})\n`;
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+        for (const g of groups) {
+            const week = recent.find(r => r._id === g.chatId) || { count: 0, hits: 0 };
+            text += `<b>${escapeHtml(g.title || 'Untitled')}</b> <code>${g.chatId}</code>\n`;
+            text += `🔍 ${g.searchEnabled ? 'on' : 'off'} • 🛡️ ${g.guard.enabled ? 'on' : 'off'} • 📢 ${g.promo.enabled ? `${g.promo.intervalHours}h` : 'off'} • 🗣️ ${g.language || 'any'}\n`;
+            text += `📊 7d: ${week.count} searches, ${week.hits} auto-picked\n`;
+            text += `📈 All time: ${g.stats.searches} searches • ${g.stats.hits} hits • ${g.stats.misses} misses • ${g.stats.joins} joins • ${g.stats.guardDeletes} removed\n\n`;
+        }
+        text += `💡 /groupset -100XXXX to change a group`;
+
+        await ctx.reply(text, { parse_mode: 'HTML' });
+    });
+
+    // /groupset [chatId] <setting> <value> - no setting shows the current card
+    bot.command('groupset', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const { chatId, args } = resolveGroupTarget(ctx);
+        const group = chatId && getGroup(chatId);
+        if (!group) {
+            return ctx.reply('❌ Not a registered group. Use /groupset -100XXXX ... or send it inside the group (register with /addgroup first).');
+        }
+
+        const [key] = args;
+        // Value from the raw text (past the chat id and key) so multi-line welcomes keep their newlines
+        const value = ctx.match.trim().replace(/^(-\d+\s+)?\S+/, '').trim();
+        if (!key) {
+            return ctx.reply(buildGroupSettingsText(group), { parse_mode: 'HTML', disable_web_page_preview: true });
+        }
+
+        const toggles = {
+            search: 'searchEnabled',
+            guard: 'guard.enabled',
+            links: 'guard.blockLinks',
+            mentions: 'guard.blockMentions',
+            promo: 'promo.enabled'
+        };
+
+        let update = null;
+        const setting = key.toLowerCase();
+        if (toggles[setting] && ['on', 'off'].includes(value.toLowerCase())) {
+            update = { $set: { [toggles[setting]]: value.toLowerCase() === 'on' } };
+        } else if (setting === 'promohours' && parseInt(value) >= 1 && parseInt(value) <= 48) {
+            update = { $set: { 'promo.intervalHours': parseInt(value) } };
+        } else if (setting === 'language') {
+            const language = parseQueryFilters(`lang:${value}`).filters.language;
+            if (language || value.toLowerCase() === 'off') update = { $set: { language: language || null } };
+        } else if (setting === 'link') {
+            if (/^https?:\/\//.test(value) || value.toLowerCase() === 'off') update = { $set: { link: value.toLowerCase() === 'off' ? null : value } };
+        } else if (setting === 'welcome' && value) {
+            const lower = value.toLowerCase();
+            if (lower === 'on' || lower === 'off') update = { $set: { welcomeEnabled: lower === 'on' } };
+            else if (lower === 'default') update = { $set: { welcomeText: null } };
+            else update = { $set: { welcomeText: value, welcomeEnabled: true } };
+        } else if (setting === 'block' && value) {
+            update = { $addToSet: { 'guard.blacklist': value.toLowerCase() } };
+        } else if (setting === 'unblock' && value) {
+            update = { $pull: { 'guard.blacklist': value.toLowerCase() } };
+        }
+
+        if (!update) {
+            return ctx.reply(
+                `❌ <b>Unknown setting or value.</b>\n\n` +
+                `Examples:\n` +
+                `<code>/groupset search off</code>\n` +
+                `<code>/groupset language tamil</code>\n` +
+                `<code>/groupset promohours 8</code>\n` +
+                `<code>/groupset welcome Hi {name}! Type a movie name 🎬</code>\n` +
+                `<code>/groupset block crypto</code>`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        const updated = await updateGroup(group.chatId, update);
+        await ctx.reply(`✅ <b>Saved!</b>\n\n` + buildGroupSettingsText(updated), { parse_mode: 'HTML', disable_web_page_preview: true });
+    });
+
     // Channel Admin Tools
     bot.command('addroom', async (ctx) => {
         if (!isAdmin(ctx)) return;
@@ -730,17 +1453,20 @@ module.exports = (bot) => {
         const mode = await getSetting('mode', 'off');
         const shortlinkBase = await getSetting('shortlinkBase', 'Not Set');
         const forceSubChannel = await getSetting('forceSubChannel', 'Not Set');
+        const searchMode = getSearchMode();
         const modeIcon = { off: '🟢 Free', shortlink: '🔗 Shortlink', token: '🎫 Token' };
 
         ctx.reply(
             `⚙️ <b>ADMIN SETTINGS PANEL</b>\n` +
             `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
             `📂 <b>Mode:</b> ${modeIcon[mode] || mode}\n` +
+            `🔍 <b>Search:</b> ${SEARCH_MODE_LABELS[searchMode] || searchMode}\n` +
             `🔗 <b>API URL:</b> <code>${shortlinkBase}</code>\n` +
             `📢 <b>Force Sub:</b> <code>${forceSubChannel}</code>\n` +
             `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
             `📝 <b>Control Commands:</b>\n` +
             `▫️ <code>/setmode off|shortlink|token</code>\n` +
+            `▫️ <code>/setsearchmode group|pm|both</code>\n` +
             `▫️ <code>/setshortlink [url]</code>\n` +
             `▫️ <code>/setapikey [key]</code>\n` +
             `▫️ <code>/setforcesub [@channel]</code>\n` +
@@ -760,6 +1486,17 @@ module.exports = (bot) => {
         ctx.reply(`✅ Monetization mode changed to: <b>${labels[newMode]}</b>`, { parse_mode: 'HTML' });
     });
 
+    // Where title search runs. PM searches deliver directly, no group card.
+    bot.command('setsearchmode', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const newMode = ctx.match.trim().toLowerCase();
+        if (!SEARCH_MODE_LABELS[newMode]) {
+            return ctx.reply('❌ Invalid mode. Use: /setsearchmode group | pm | both');
+        }
+        await setSearchMode(newMode);
+        ctx.reply(`✅ Search mode changed to: <b>${SEARCH_MODE_LABELS[newMode]}</b>`, { parse_mode: 'HTML' });
+    });
+
     bot.command('setshortlink', async (ctx) => {
         if (!isAdmin(ctx)) return;
         const url = ctx.match.trim();
@@ -796,17 +1533,16 @@ module.exports = (bot) => {
     });
 
     // Handle top movies callback - send user to group to get clips
-    bot.callbackQuery(/^top_(.+)$/, async (ctx) => {
-        const movieTitle = ctx.match[1];
+    bot.callbackQuery(movieCallbackPattern('top'), async (ctx) => {
         try {
-            const movie = await Movie.findOne({ title: movieTitle });
+            const movie = await resolveCallbackMovie(ctx.match[1]);
             if (!movie) {
                 await ctx.answerCallbackQuery({ text: '❌ Movie not found', show_alert: true });
                 return;
             }
 
-            const groupId = process.env.GROUP_ID;
-            if (!groupId) {
+            const groupLink = getGroupLink();
+            if (!groupLink) {
                 await ctx.answerCallbackQuery({ text: '⚠️ Group not configured', show_alert: true });
                 return;
             }
@@ -817,9 +1553,9 @@ module.exports = (bot) => {
             await ctx.editMessageText(
                 `🎬 <b>${movie.title}</b>\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-                `📂 <b>${movie.messageIds.length} clips</b> available!\n\n` +
+                `📂 <b>${movie.files?.length || movie.messageIds.length} clips</b> available!\n\n` +
                 `👇 Go to group and search for clips:\n` +
-                `<a href="https://t.me/${groupId.replace('-100', '')}">Click to Open Group</a>\n\n` +
+                `<a href="${groupLink}">Click to Open Group</a>\n\n` +
                 `Then type: <code>${movie.title}</code>`,
                 { parse_mode: 'HTML' }
             );
@@ -857,7 +1593,7 @@ module.exports = (bot) => {
         const totalSearches = allUsers.reduce((sum, u) => sum + (u.searchCount || 0), 0);
         const totalDownloads = allUsers.reduce((sum, u) => sum + (u.downloadCount || 0), 0);
 
-        const topMovies = await Movie.find().sort({ requests: -1 }).limit(10);
+        const { items: topMovies, isFallback: topAllTime } = await getTrending('7d', 10);
         const topUsers = await User.find().sort({ downloadCount: -1 }).limit(10);
 
         const rooms = await Room.find();
@@ -914,14 +1650,21 @@ module.exports = (bot) => {
         statsText += `🔒 Maintenance: ${maintenanceMode ? 'ON ⚠️' : 'OFF ✅'}\n`;
 
         if (topMovies.length > 0) {
-            statsText += `\n🔥 TOP MOVIES\n`;
+            statsText += `\n🔥 TOP MOVIES (${topAllTime ? 'ALL TIME' : '7 DAYS'})\n`;
             statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
-            topMovies.forEach((m, i) => {
+            topMovies.forEach(({ movie: m, requests, deliveries }, i) => {
                 const clipCount = m.files?.length || m.messageIds?.length || 0;
-                statsText += `${i + 1}. ${m.title} - ${m.requests} searches | ${clipCount} clips\n`;
+                statsText += `${i + 1}. ${m.title} - ${requests} searches | ${deliveries} downloads | ${clipCount} clips\n`;
             });
         }
 
+        const groupLines = buildGroupStatsLines();
+        if (groupLines) {
+            statsText += `\n👥 GROUPS\n`;
+            statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+            statsText += groupLines;
+        }
+
         if (topUsers.length > 0) {
             statsText += `\n⭐ TOP DOWNLOADERS\n`;
             statsText += `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
@@ -1,4 +1,5 @@
-const { sendToLogChannel } = require('../utils/helpers');
+const { sendToLogChannel, escapeHtml } = require('../utils/helpers');
+const { getGroup, recordGroupStat } = require('../utils/groups');
 
 function getUserNameForLog(user) {
     if (user.username) return `@${user.username}`;
@@ -8,29 +9,38 @@ function getUserNameForLog(user) {
 
 module.exports = (bot) => {
     // Welcome new members
-    bot.on('my_chat_member', async (ctx) => {
-        const groupId = process.env.GROUP_ID;
-        if (!groupId || ctx.chat.id.toString() !== groupId) return;
+    bot.on('message:new_chat_members', async (ctx) => {
+        const group = getGroup(ctx.chat.id);
+        if (!group) return;
 
         // Skip old events
-        const eventDate = ctx.myChatMember.date * 1000;
+        const eventDate = ctx.message.date * 1000;
         if (eventDate < global.botStartedAt) return;
 
-        const status = ctx.myChatMember.new_chat_member.status;
+        const users = ctx.message.new_chat_members.filter(u => !u.is_bot);
+        if (users.length === 0) return;
 
-        // User joined the group
-        if (status === 'member' || status === 'administrator') {
-            const user = ctx.myChatMember.new_chat_member.user;
+        for (const user of users) {
+            recordGroupStat(ctx.chat.id, 'joins');
 
             // Log new group member
-            await sendToLogChannel(bot, `👥 <b>New Group Member</b>\n\n👤 User: ${getUserNameForLog(user)} (<code>${user.id}</code>)\n📅 Joined: ${new Date().toLocaleString()}\n\n#newmember 👋`);
+            await sendToLogChannel(bot, `👥 <b>New Group Member</b>\n\n👤 User: ${getUserNameForLog(user)} (<code>${user.id}</code>)\n💬 Group: ${escapeHtml(group.title || group.chatId)}\n📅 Joined: ${new Date().toLocaleString()}\n\n#newmember 👋`);
+        }
+        if (!group.welcomeEnabled) return;
 
-            try {
-                const welcomeKeyboard = new (require('grammy')).InlineKeyboard()
-                    .text('📖 Step-by-Step Guide', 'welcome_guide')
-                    .text('🎬 See All Movies', 'welcome_movies').row()
-                    .text('❓ Help', 'welcome_help');
+        try {
+            const welcomeKeyboard = new (require('grammy')).InlineKeyboard()
+                .text('📖 Step-by-Step Guide', 'welcome_guide')
+                .text('🎬 See All Movies', 'welcome_movies').row()
+                .text('❓ Help', 'welcome_help');
 
+            // Custom text from /groupset welcome, with {name} for the newcomer
+            if (group.welcomeText) {
+                await ctx.reply(
+                    group.welcomeText.replace(/\{name\}/g, escapeHtml(users[0].first_name || 'friend')),
+                    { parse_mode: 'HTML', reply_markup: welcomeKeyboard }
+                );
+            } else {
                 await ctx.reply(
                     `👋 <b>WELCOME TO THE GROUP!</b>\n\n` +
                     `🎬 <b>Movie Clips Assistant</b> at your service!\n\n` +
@@ -48,9 +58,9 @@ module.exports = (bot) => {
                         reply_markup: welcomeKeyboard
                     }
                 );
-            } catch (e) {
-                console.error('Welcome message error:', e);
             }
+        } catch (e) {
+            console.error('Welcome message error:', e);
         }
     });
 
@@ -122,8 +132,9 @@ module.exports = (bot) => {
     });
 
     bot.on('message', async (ctx, next) => {
-        const groupId = process.env.GROUP_ID;
-        if (!groupId || ctx.chat.id.toString() !== groupId) return next();
+        const group = getGroup(ctx.chat.id);
+        if (!group || !group.guard.enabled) return next();
+        const { guard } = group;
 
         // Skip old messages
         const messageDate = ctx.message.date * 1000;
@@ -162,22 +173,19 @@ module.exports = (bot) => {
             }
 
             // 1. Link Detection (External URLs and Telegram Invites)
-            const hasLink = /https?:\/\/[^\s]+/.test(text) || /t\.me\/(joinchat|\+)/.test(text);
+            const hasLink = guard.blockLinks && (/https?:\/\/[^\s]+/.test(text) || /t\.me\/(joinchat|\+)/.test(text));
 
-            // 2. Blacklisted Keywords
-            const blacklist = [
-                'dm', 'msg me', 'buy', 'sell', 'adult', 'porn', 'sex', 'cheap',
-                'promotion', 'subscribe', 'join my', 'referral', 'earn money'
-            ];
-            const hasBlacklist = blacklist.some(word => text.toLowerCase().includes(word));
+            // 2. Blacklisted Keywords (per group, /groupset block|unblock)
+            const hasBlacklist = guard.blacklist.some(word => text.toLowerCase().includes(word));
 
             // 3. Other @mentions (not the bot)
-            const hasForbiddenMention = /@\w+/.test(text) && (!botUsername || !text.toLowerCase().includes(botUsername));
+            const hasForbiddenMention = guard.blockMentions && /@\w+/.test(text) && (!botUsername || !text.toLowerCase().includes(botUsername));
 
             if (hasLink || hasBlacklist || hasForbiddenMention) {
                 try {
                     await ctx.deleteMessage();
                     console.log(`[ChatGuard] Deleted message from ${userId} for spam rules.`);
+                    recordGroupStat(ctx.chat.id, 'guardDeletes');
 
                     // Log to channel
                     let reason = '';
@@ -1,6 +1,18 @@
-const { Movie, Room, User } = require('../database');
-const { decodeMovieLink, sleep, sendToLogChannel, encodeMovieLink } = require('../utils/helpers');
-const { getSetting, wrapShortlink, hasValidToken, grantToken, getTokenExpiry } = require('../utils/monetization');
+const { Movie, Room, User, Delivery, SearchLog } = require('../database');
+const { sleep, sendToLogChannel, formatMovieTitle, escapeHtml } = require('../utils/helpers');
+const { getSetting, getSearchMode, wrapShortlink, hasValidToken, grantToken, getTokenExpiry } = require('../utils/monetization');
+const { movieCallback, movieCallbackPattern, resolveCallbackMovie } = require('../utils/callbacks');
+const { resolveStartPayload, consumeDeepLink, createUserStartUrl, getReferralStartUrl, getMovieStartUrl } = require('../utils/deepLinks');
+const { getRecommendations } = require('../utils/recommendations');
+const { recordActivity } = require('../utils/trending');
+const { autoDelete, deleteTriggerMessage, scheduleRoomRelease } = require('../utils/scheduler');
+const { getGroupLink } = require('../utils/groups');
+const { getPrimaryChannelId } = require('../utils/storageChannels');
+const { favoriteButtonText } = require('../utils/follows');
+
+// A delivered room stays reserved for its user this long before it can be reassigned
+const ROOM_LEASE_MS = 20 * 60 * 1000;
+const HISTORY_LIMIT = 10;
 
 function getUserNameForLog(user) {
     if (user.username) return `@${user.username}`;
@@ -8,22 +20,6 @@ function getUserNameForLog(user) {
     return `User ${user.id}`;
 }
 
-// Auto-delete a bot message after N milliseconds
-const autoDelete = async (api, chatId, messageId, ms = 30 * 60 * 1000) => {
-    await sleep(ms);
-    try { await api.deleteMessage(chatId, messageId); } catch (_) { }
-};
-
-// Delete command message that triggered the bot
-const deleteTriggerMessage = async (ctx, ms = 30 * 60 * 1000) => {
-    await sleep(ms);
-    try {
-        if (ctx.message) {
-            await ctx.api.deleteMessage(ctx.chat.id, ctx.message.message_id);
-        }
-    } catch (_) { }
-};
-
 // ────────────────────────────────────────────────────────────────────
 // Force Subscribe Check
 // ────────────────────────────────────────────────────────────────────
@@ -41,6 +37,92 @@ async function checkForceSub(ctx) {
     }
 }
 
+// ────────────────────────────────────────────────────────────────────
+// Delivery Lock — one delivery per user at a time (stale after 5 min)
+// ────────────────────────────────────────────────────────────────────
+async function acquireDeliveryLock(userId) {
+    return await User.findOneAndUpdate(
+        {
+            userId,
+            $or: [
+                { isDelivering: { $ne: true } }, // Match false or missing field
+                { lastDeliveryAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } }
+            ]
+        },
+        {
+            $set: {
+                isDelivering: true,
+                lastDeliveryAt: new Date(),
+                lastActive: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    );
+}
+
+const releaseDeliveryLock = async (userId) => await User.findOneAndUpdate({ userId }, { isDelivering: false });
+
+// Already delivering (lock active)
+const sendBusyNotice = (ctx) =>
+    ctx.reply('⏳ <b>Please wait!</b>\n\nI am still preparing your previous request. Please wait a minute before starting a new one! ⏱️', { parse_mode: 'HTML' });
+
+// ────────────────────────────────────────────────────────────────────
+// Room Leases
+// ────────────────────────────────────────────────────────────────────
+// Latest delivery of this movie to this user whose room is still theirs, or null
+async function findActiveLease(userId, movieId) {
+    const lease = await Delivery.findOne({ userId, movieId, leaseExpiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean();
+    if (!lease) return null;
+
+    // The room may have gone to someone else if every room was busy
+    const room = await Room.findOne({ roomId: lease.roomId, currentUserId: String(userId) }).select('_id').lean();
+    return room ? lease : null;
+}
+
+// Final "clips ready" card on the wait message, with up to 3 suggestions
+// that start their own delivery
+async function sendDeliveryCard(ctx, waitMsgId, movie, clipCount, inviteLink) {
+    const suggestions = [];
+    try {
+        for (const m of await getRecommendations(movie, 3)) {
+            suggestions.push([{ text: `▸ ${m.title.toUpperCase()}`, url: await getMovieStartUrl(ctx, m) }]);
+        }
+    } catch (e) {
+        console.error('Recommendation lookup error:', e.message);
+    }
+
+    const starred = await User.exists({ userId: ctx.from.id, favorites: movie._id });
+
+    await ctx.api.editMessageText(
+        ctx.chat.id, waitMsgId,
+        `✅ <b>ALL CLIPS READY !</b>\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+        `🎬 <b>Movie:</b> <code>${formatMovieTitle(movie)}</code>\n` +
+        `📂 <b>Clips:</b> ${clipCount} Files\n\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+        `⚠️ <b>Note:</b>\n` +
+        `• Access expires in <b>2 hours</b>\n` +
+        `• One-time entry only\n\n` +
+        `🚀 <i>CLIPS ARE UPLOADED HERE!</i>` +
+        (suggestions.length > 0 ? `\n\n💡 <b>You might also like:</b>` : ''),
+        {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '🚪 Open My Clips  →', url: inviteLink }],
+                    [{ text: favoriteButtonText(starred), callback_data: movieCallback('favorite', movie) }],
+                    ...suggestions
+                ]
+            }
+        }
+    );
+
+    // Auto-delete delivery message after 10 minutes (keeps PM clean)
+    autoDelete(ctx.chat.id, waitMsgId, 10 * 60 * 1000);
+}
+
 // ────────────────────────────────────────────────────────────────────
 // Main Handler
 // ────────────────────────────────────────────────────────────────────
@@ -82,6 +164,79 @@ module.exports = (bot) => {
         }
     });
 
+    // Personal invite link - new users who start through it are credited to the sender
+    bot.command('refer', async (ctx) => {
+        if (ctx.chat.type !== 'private') return;
+
+        const inviteUrl = await getReferralStartUrl(ctx, ctx.from.id);
+        const user = await User.findOne({ userId: ctx.from.id }).select('referralCount').lean();
+
+        await ctx.reply(
+            `🤝 <b>INVITE FRIENDS</b>\n` +
+            `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+            `Share your link:\n<code>${inviteUrl}</code>\n\n` +
+            `👥 <b>Friends joined:</b> ${user?.referralCount || 0}`,
+            { parse_mode: 'HTML', disable_web_page_preview: true }
+        );
+    });
+
+    // Recent deliveries and searches. Buttons are /start links, so a redelivery
+    // goes through the same monetization and force-sub steps as a group search.
+    bot.command('history', async (ctx) => {
+        if (ctx.chat.type !== 'private') return;
+
+        const [recent, searches] = await Promise.all([
+            Delivery.aggregate([
+                { $match: { userId: ctx.from.id, reused: { $ne: true } } },
+                { $sort: { createdAt: -1 } },
+                { $group: { _id: '$movieId', title: { $first: '$title' }, lastAt: { $first: '$createdAt' }, times: { $sum: 1 } } },
+                { $sort: { lastAt: -1 } },
+                { $limit: HISTORY_LIMIT }
+            ]),
+            SearchLog.find({ userId: ctx.from.id }).sort({ createdAt: -1 }).limit(30).select('query').lean()
+        ]);
+
+        if (recent.length === 0) {
+            return ctx.reply(
+                `📜 <b>No deliveries yet!</b>\n\nSearch a movie in our group and your clips will show up here. 🎬`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        // Movies deleted since delivery are listed without a button
+        const movies = await Movie.find({ _id: { $in: recent.map(r => r._id) } }).select('title nativeTitle').lean();
+
+        let text = `📜 <b>YOUR HISTORY</b>\n`;
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+
+        const keyboard = [];
+        for (const [i, entry] of recent.entries()) {
+            const movie = movies.find(m => m._id.equals(entry._id));
+            const date = entry.lastAt.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+            const times = entry.times > 1 ? ` • ${entry.times}x` : '';
+            text += `${i + 1}. <b>${escapeHtml(movie ? formatMovieTitle(movie) : entry.title)}</b> - ${date}${times}\n`;
+
+            if (movie) {
+                keyboard.push([{ text: `🔁 ${movie.title.substring(0, 40)}`, url: await getMovieStartUrl(ctx, movie) }]);
+            }
+        }
+
+        const recentQueries = [...new Set(searches.map(s => s.query))].slice(0, 5);
+        if (recentQueries.length > 0) {
+            text += `\n🔍 <b>Recent searches:</b>\n`;
+            text += recentQueries.map(q => `• <code>${escapeHtml(q)}</code>`).join('\n') + '\n';
+        }
+
+        text += `\n━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+        text += `👇 Tap a title to get the clips again`;
+
+        const msg = await ctx.reply(text, {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: keyboard }
+        });
+        autoDelete(ctx.chat.id, msg.message_id);
+    });
+
     // Handle replies from admin to users
     bot.on('message:text', async (ctx, next) => {
         if (ctx.message.text.startsWith('/')) return next();
@@ -126,28 +281,34 @@ module.exports = (bot) => {
         );
 
         // Log new user
-        if (user.joinedAt && Date.now() - new Date(user.joinedAt).getTime() < 5000) {
+        const isNewUser = user.joinedAt && Date.now() - new Date(user.joinedAt).getTime() < 5000;
+        if (isNewUser) {
             await sendToLogChannel(bot, `👋 <b>New User Started Bot</b>\n\n👤 User: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\n🌐 Language: ${ctx.from.language_code || 'unknown'}`);
         }
 
-        const payload = ctx.match;
-        let isVerified = false;
-        let moviePayload = payload;
+        // Registry code ("dl_...") or a legacy encoded payload
+        const target = await resolveStartPayload(ctx.match);
 
-        if (payload && payload.startsWith('v_')) {
-            isVerified = true;
-            moviePayload = payload.substring(2);
+        // ─── Referral: credit the referrer once, then welcome ───────
+        if (target?.action === 'referral' && isNewUser && target.userId !== ctx.from.id) {
+            await User.updateOne({ userId: ctx.from.id }, { referredBy: target.userId });
+            await User.updateOne({ userId: target.userId }, { $inc: { referralCount: 1 } });
+            try {
+                await bot.api.sendMessage(target.userId, `🎉 <b>${ctx.from.first_name || 'Someone'}</b> joined with your invite link!`, { parse_mode: 'HTML' });
+            } catch (_) { }
+            await sendToLogChannel(bot, `🤝 <b>Referral</b>\n\n👤 New: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\n🔗 By: <code>${target.userId}</code>`);
         }
 
         // ─── No Payload → Welcome ───────────────────────────────────
-        if (!moviePayload) {
+        if (!target || target.action === 'referral') {
+            const pmSearch = getSearchMode() !== 'group';
             const welcome = await ctx.reply(
                 `👋 <b>WELCOME TO MOXI FILTERS!</b>\n\n` +
                 `I am your <b>Clips Assistant Bot</b> 🤖\n\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                 `🎬 <b>HOW TO GET CLIPS:</b>\n\n` +
                 `1️⃣ <b>Join our Group</b>\n` +
-                `   👉 ${process.env.GROUP_LINK ? `<a href="${process.env.GROUP_LINK}">Join Now! 🌟</a>` : '<b>Search in our group</b>'}\n\n` +
+                `   👉 ${getGroupLink() ? `<a href="${getGroupLink()}">Join Now! 🌟</a>` : '<b>Search in our group</b>'}\n\n` +
                 `2️⃣ <b>Type Movie Name</b>\n` +
                 `   <i>Example: Leo or Jawan</i>\n\n` +
                 `3️⃣ <b>Get Your Files</b>\n` +
@@ -155,52 +316,48 @@ module.exports = (bot) => {
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                 `💡 <b>QUICK TIPS:</b>\n` +
                 `• Type <code>/filters</code> to see all movies\n` +
+                (pmSearch ? `• Or type a movie name right here in PM! 💬\n` : '') +
                 `• Spelling doesn't matter, I'll fix it! ✨\n` +
                 `• Ask admin if clips are missing!\n\n` +
                 `🎉 <b>Enjoy Editing!</b> 🍿`,
                 { parse_mode: 'HTML', disable_web_page_preview: true }
             );
-            autoDelete(ctx.api, ctx.chat.id, welcome.message_id);
+            autoDelete(ctx.chat.id, welcome.message_id);
             deleteTriggerMessage(ctx);
             return;
         }
 
         // ─── Atomize Lock Check & Set ──────────────────────────────
-        const lockoutResult = await User.findOneAndUpdate(
-            {
-                userId: ctx.from.id,
-                $or: [
-                    { isDelivering: { $ne: true } }, // Match false or missing field
-                    { lastDeliveryAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } }
-                ]
-            },
-            {
-                $set: {
-                    isDelivering: true,
-                    lastDeliveryAt: new Date(),
-                    lastActive: new Date()
-                }
-            },
-            { returnDocument: 'after' }
-        );
+        const lockoutResult = await acquireDeliveryLock(ctx.from.id);
+        const releaseLock = () => releaseDeliveryLock(ctx.from.id);
 
-        const releaseLock = async () => await User.findOneAndUpdate({ userId: ctx.from.id }, { isDelivering: false });
+        if (!lockoutResult) return sendBusyNotice(ctx);
 
-        if (!lockoutResult) {
-            // Already delivering (lock active)
-            return ctx.reply('⏳ <b>Please wait!</b>\n\nI am still preparing your previous request. Please wait a minute before starting a new one! ⏱️', { parse_mode: 'HTML' });
+        // ─── Expired, used or unknown link ──────────────────────────
+        if (target.action === 'expired') {
+            const e = await ctx.reply('❌ <b>Link Expired!</b>\n\nThis link is old. Please search again in our group! 👆', { parse_mode: 'HTML' });
+            autoDelete(ctx.chat.id, e.message_id);
+            deleteTriggerMessage(ctx);
+            await releaseLock();
+            return;
         }
 
-        // ─── Token Claim: /start token_USERID ───────────────────────
-        if (moviePayload.startsWith('token_')) {
-            const userId = moviePayload.replace('token_', '');
+        // ─── Token Claim ────────────────────────────────────────────
+        if (target.action === 'token') {
+            const userId = String(target.userId);
             if (ctx.from.id.toString() !== userId) {
                 const e = await ctx.reply('❌ This token link belongs to another user.');
-                autoDelete(ctx.api, ctx.chat.id, e.message_id);
+                autoDelete(ctx.chat.id, e.message_id);
                 deleteTriggerMessage(ctx);
                 await releaseLock();
                 return;
             }
+            if (!await consumeDeepLink(target.link)) {
+                const e = await ctx.reply('❌ This pass link was already used.');
+                autoDelete(ctx.chat.id, e.message_id);
+                await releaseLock();
+                return;
+            }
             const expiresAt = await grantToken(userId);
             const expireStr = expiresAt.toLocaleString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true });
             const msg = await ctx.reply(
@@ -212,124 +369,216 @@ module.exports = (bot) => {
                 `<i>You can now get clips from the group. Enjoy! 🎬</i>`,
                 { parse_mode: 'HTML' }
             );
-            autoDelete(ctx.api, ctx.chat.id, msg.message_id);
+            autoDelete(ctx.chat.id, msg.message_id);
             await releaseLock();
             await sendToLogChannel(bot, `🎫 *Token Granted*\nUser: ${getUserNameForLog(ctx.from)} (\`${ctx.from.id}\`)`);
             return;
         }
 
-        // ─── Movie Delivery: /start ENCODED_MOVIE ───────────────────
-        const movieName = decodeMovieLink(moviePayload);
-        if (!movieName) {
-            const e = await ctx.reply('❌ <b>Link Expired!</b>\n\nThis link is old. Please search again in our group! 👆');
-            autoDelete(ctx.api, ctx.chat.id, e.message_id);
+        // ─── Movie Delivery: movie or verified (post-shortlink) link ──
+        const isVerified = target.action === 'verified';
+        if (isVerified && target.link && target.userId !== ctx.from.id) {
+            const e = await ctx.reply('❌ This link belongs to another user. Please search again in our group! 👆');
+            autoDelete(ctx.chat.id, e.message_id);
+            deleteTriggerMessage(ctx);
+            await releaseLock();
+            return;
+        }
+        if (isVerified && !await consumeDeepLink(target.link)) {
+            const e = await ctx.reply('❌ <b>Link Already Used!</b>\n\nPlease search again in our group! 👆', { parse_mode: 'HTML' });
+            autoDelete(ctx.chat.id, e.message_id);
             deleteTriggerMessage(ctx);
             await releaseLock();
             return;
         }
 
-        const movie = await Movie.findOne({ title: movieName });
+        const movie = target.movieId
+            ? await Movie.findById(target.movieId)
+            : await Movie.findOne({ title: target.movieName }) || await Movie.findOne({ aliases: target.movieName });
         if (!movie || (!movie.messageIds?.length && !movie.files?.length)) {
             const e = await ctx.reply('❌ <b>Clips Not Available!</b>\n\nThis content is removed. Please ask admin to add it! 😢');
-            autoDelete(ctx.api, ctx.chat.id, e.message_id);
+            autoDelete(ctx.chat.id, e.message_id);
             deleteTriggerMessage(ctx);
             await releaseLock();
             return;
         }
 
-        // ─── Check Monetization Mode ─────────────────────────────────
-        const mode = await getSetting('mode', 'off');
+        await startDelivery(ctx, bot, movie, isVerified);
+    });
 
-        const sendTutorialIfAny = async () => {
-            try {
-                const tutStr = await getSetting('tutorial');
-                if (!tutStr) return;
-                const tutData = JSON.parse(tutStr);
-                const captionOpts = { caption: '💡 <b>How to open the link:</b>', parse_mode: 'HTML' };
-                if (tutData.type === 'video') {
-                    await ctx.api.sendVideo(ctx.chat.id, tutData.fileId, captionOpts);
-                } else if (tutData.type === 'document') {
-                    await ctx.api.sendDocument(ctx.chat.id, tutData.fileId, captionOpts);
-                } else if (tutData.type === 'link') {
-                    await ctx.reply(`💡 <b>How to open the link:</b>\n\n👉 <a href="${tutData.text}">Watch Tutorial Here</a>`, { parse_mode: 'HTML', disable_web_page_preview: true });
+    // Handle Force Sub "I've Joined" callback
+    bot.callbackQuery(movieCallbackPattern('forceSub'), async (ctx) => {
+        await ctx.answerCallbackQuery();
+
+        const movie = await resolveCallbackMovie(ctx.match[1], 'forceSub');
+        if (!movie) {
+            return await ctx.editMessageText(
+                '❌ Link expired. Please search for the movie again in the group.',
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        // Check if user joined channel
+        const isMember = await checkForceSub(ctx);
+        if (!isMember) {
+            const forceSubChannel = await getSetting('forceSubChannel', null);
+            let joinUrl = forceSubChannel;
+            if (forceSubChannel && !forceSubChannel.startsWith('http')) {
+                try {
+                    const chatInfo = await ctx.api.getChat(forceSubChannel);
+                    joinUrl = chatInfo.invite_link || `https://t.me/${forceSubChannel.replace('@', '')}`;
+                } catch (_) {
+                    joinUrl = `https://t.me/${forceSubChannel.replace('@', '')}`;
                 }
-            } catch (e) { console.error('Error sending tutorial:', e.message); }
-        };
-
-        if (mode === 'token') {
-            const validToken = await hasValidToken(ctx.from.id);
-            if (!validToken) {
-                const botUsername = process.env.BOT_USERNAME || ctx.me?.username || '';
-                const tokenStartUrl = `https://t.me/${botUsername}?start=token_${ctx.from.id}`;
-                const wrappedUrl = await wrapShortlink(tokenStartUrl);
-
-                await sendTutorialIfAny();
-
-                const msg = await ctx.reply(
-                    `🎫 <b>GET ACCESS PASS</b>\n` +
-                    `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-                    `You need a <b>24-Hour Pass</b> to edit clips! 🎫\n\n` +
-                    `📝 <b>Easy Steps:</b>\n` +
-                    `1️⃣ Click the button below\n` +
-                    `2️⃣ Get your pass (it's free!)\n` +
-                    `3️⃣ Come back here to edit!\n\n` +
-                    `⏱️ <b>Time:</b> Only 30 seconds!\n\n` +
-                    `❤️ <i>Your support keeps us alive!</i>`,
-                    {
-                        parse_mode: 'HTML',
-                        reply_markup: { inline_keyboard: [[{ text: '🎫 Get Pass & Edit Clips', url: wrappedUrl }]] }
-                    }
-                );
-                autoDelete(ctx.api, ctx.chat.id, msg.message_id);
-                await releaseLock();
-                await sendToLogChannel(bot, `🔒 *Token Required*\nUser: ${getUserNameForLog(ctx.from)} (\`${ctx.from.id}\`)\nMovie: _${movie.title}_`);
-                return;
             }
-            const timeLeft = await getTokenExpiry(ctx.from.id);
-            const waitMsg = await ctx.reply(
-                `🎫 <b>Pass Active</b> — ${timeLeft} left\n\n⏳ Getting your clips...`,
+
+            return await ctx.editMessageText(
+                `📢 <b>You haven't joined yet!</b>\n\n` +
+                `Please join the channel first, then tap the button again.`,
+                {
+                    parse_mode: 'HTML',
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: '📢 Join Channel', url: joinUrl }],
+                            [{ text: '✅ I\'ve Joined - Check Now', callback_data: movieCallback('forceSub', movie) }]
+                        ]
+                    }
+                }
+            );
+        }
+
+        // User joined - deliver movie
+        if (!movie.messageIds?.length && !movie.files?.length) {
+            return await ctx.editMessageText(
+                '❌ Clips not available anymore. Please search for another movie.',
                 { parse_mode: 'HTML' }
             );
-            autoDelete(ctx.api, ctx.chat.id, waitMsg.message_id);
-            deliverMovie(ctx, bot, movie, waitMsg.message_id).catch(e => console.error('Delivery Error:', e));
+        }
+
+        // Log force sub verified
+        await sendToLogChannel(bot, `✅ <b>Force Sub Verified</b>\n\n👤 User: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\n🎬 Movie: <i>${movie.title}</i>\n\n#verified 📢`);
+
+        await ctx.editMessageText(
+            `✅ <b>Welcome back!</b>\n\n⏳ Preparing your clips...`,
+            { parse_mode: 'HTML' }
+        );
 
-        } else if (mode === 'shortlink' && !isVerified) {
-            const botUsername = process.env.BOT_USERNAME || ctx.me?.username || '';
-            const verifiedStart = `https://t.me/${botUsername}?start=v_${moviePayload}`;
+        // Trigger delivery
+        deliverMovie(ctx, bot, movie, ctx.callbackQuery.message.message_id).catch(e => console.error('Delivery Error:', e));
+    });
+};
+
+// ────────────────────────────────────────────────────────────────────
+// Monetization gate → delivery. Caller must hold the delivery lock.
+// ────────────────────────────────────────────────────────────────────
+async function startDelivery(ctx, bot, movie, isVerified = false) {
+    // ─── Check Monetization Mode ─────────────────────────────────
+    const mode = await getSetting('mode', 'off');
+
+    const sendTutorialIfAny = async () => {
+        try {
+            const tutStr = await getSetting('tutorial');
+            if (!tutStr) return;
+            const tutData = JSON.parse(tutStr);
+            const captionOpts = { caption: '💡 <b>How to open the link:</b>', parse_mode: 'HTML' };
+            if (tutData.type === 'video') {
+                await ctx.api.sendVideo(ctx.chat.id, tutData.fileId, captionOpts);
+            } else if (tutData.type === 'document') {
+                await ctx.api.sendDocument(ctx.chat.id, tutData.fileId, captionOpts);
+            } else if (tutData.type === 'link') {
+                await ctx.reply(`💡 <b>How to open the link:</b>\n\n👉 <a href="${tutData.text}">Watch Tutorial Here</a>`, { parse_mode: 'HTML', disable_web_page_preview: true });
+            }
+        } catch (e) { console.error('Error sending tutorial:', e.message); }
+    };
+
+    if (mode === 'token') {
+        const validToken = await hasValidToken(ctx.from.id);
+        if (!validToken) {
+            const tokenStartUrl = await createUserStartUrl(ctx, { action: 'token', userId: ctx.from.id });
+            const wrappedUrl = await wrapShortlink(tokenStartUrl);
 
             await sendTutorialIfAny();
 
-            const wrapMsg = await ctx.reply(
-                `🔗 <b>Preparing your link...</b>\n\n📽️ Movie: <b>${movie.title}</b>\n🎬 Clips: ${movie.files?.length || movie.messageIds.length}`,
-                { parse_mode: 'HTML' }
-            );
-            const wrappedUrl = await wrapShortlink(verifiedStart);
-            await ctx.api.editMessageText(
-                ctx.chat.id, wrapMsg.message_id,
-                `🎬 <b>${movie.title}</b>\n` +
+            const msg = await ctx.reply(
+                `🎫 <b>GET ACCESS PASS</b>\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-                `📂 <b>${movie.files?.length || movie.messageIds.length} Clips</b> are ready for you!\n\n` +
-                `🚀 <b>TAP THE BUTTON BELOW</b> to start!\n\n` +
-                `🔗 <i>Link opens your private movie room</i>`,
+                `You need a <b>24-Hour Pass</b> to edit clips! 🎫\n\n` +
+                `📝 <b>Easy Steps:</b>\n` +
+                `1️⃣ Click the button below\n` +
+                `2️⃣ Get your pass (it's free!)\n` +
+                `3️⃣ Come back here to edit!\n\n` +
+                `⏱️ <b>Time:</b> Only 30 seconds!\n\n` +
+                `❤️ <i>Your support keeps us alive!</i>`,
                 {
                     parse_mode: 'HTML',
-                    reply_markup: { inline_keyboard: [[{ text: '▶️ Get My Clips Now', url: wrappedUrl }]] }
+                    reply_markup: { inline_keyboard: [[{ text: '🎫 Get Pass & Edit Clips', url: wrappedUrl }]] }
                 }
             );
-            autoDelete(ctx.api, ctx.chat.id, wrapMsg.message_id);
-            await releaseLock();
-            await sendToLogChannel(bot, `🔗 <b>Shortlink Sent</b>\nUser: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\nMovie: <i>${movie.title}</i>\n\n#shortlink 📎`);
+            autoDelete(ctx.chat.id, msg.message_id);
+            await releaseDeliveryLock(ctx.from.id);
+            await sendToLogChannel(bot, `🔒 *Token Required*\nUser: ${getUserNameForLog(ctx.from)} (\`${ctx.from.id}\`)\nMovie: _${movie.title}_`);
             return;
-        } else {
-            const waitMsg = await ctx.reply(
-                `⏳ <b>Preparing your movies...</b>\n\n📽️ <b>${movie.title}</b>\n📂 ${movie.messageIds.length} clips\n\nPlease wait... ⏱️`,
-                { parse_mode: 'HTML' }
-            );
-            autoDelete(ctx.api, ctx.chat.id, waitMsg.message_id);
-            deliverMovie(ctx, bot, movie, waitMsg.message_id).catch(e => console.error('Delivery Error:', e));
         }
-    });
-};
+        const timeLeft = await getTokenExpiry(ctx.from.id);
+        const waitMsg = await ctx.reply(
+            `🎫 <b>Pass Active</b> — ${timeLeft} left\n\n⏳ Getting your clips...`,
+            { parse_mode: 'HTML' }
+        );
+        autoDelete(ctx.chat.id, waitMsg.message_id);
+        deliverMovie(ctx, bot, movie, waitMsg.message_id).catch(e => console.error('Delivery Error:', e));
+
+    } else if (mode === 'shortlink' && !isVerified) {
+        const verifiedStart = await createUserStartUrl(ctx, { action: 'verified', userId: ctx.from.id, movieId: movie._id });
+
+        await sendTutorialIfAny();
+
+        const wrapMsg = await ctx.reply(
+            `🔗 <b>Preparing your link...</b>\n\n📽️ Movie: <b>${movie.title}</b>\n🎬 Clips: ${movie.files?.length || movie.messageIds.length}`,
+            { parse_mode: 'HTML' }
+        );
+        const wrappedUrl = await wrapShortlink(verifiedStart);
+        await ctx.api.editMessageText(
+            ctx.chat.id, wrapMsg.message_id,
+            `🎬 <b>${movie.title}</b>\n` +
+            `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+            `📂 <b>${movie.files?.length || movie.messageIds.length} Clips</b> are ready for you!\n\n` +
+            `🚀 <b>TAP THE BUTTON BELOW</b> to start!\n\n` +
+            `🔗 <i>Link opens your private movie room</i>`,
+            {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: [[{ text: '▶️ Get My Clips Now', url: wrappedUrl }]] }
+            }
+        );
+        autoDelete(ctx.chat.id, wrapMsg.message_id);
+        await releaseDeliveryLock(ctx.from.id);
+        await sendToLogChannel(bot, `🔗 <b>Shortlink Sent</b>\nUser: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\nMovie: <i>${movie.title}</i>\n\n#shortlink 📎`);
+        return;
+    } else {
+        const waitMsg = await ctx.reply(
+            `⏳ <b>Preparing your movies...</b>\n\n📽️ <b>${movie.title}</b>\n📂 ${movie.files?.length || movie.messageIds.length} clips\n\nPlease wait... ⏱️`,
+            { parse_mode: 'HTML' }
+        );
+        autoDelete(ctx.chat.id, waitMsg.message_id);
+        deliverMovie(ctx, bot, movie, waitMsg.message_id).catch(e => console.error('Delivery Error:', e));
+    }
+}
+
+// PM search hit: same lock and monetization flow as a /start link, without the round-trip
+async function deliverFromSearch(ctx, bot, movie) {
+    await User.updateOne(
+        { userId: ctx.from.id },
+        { $setOnInsert: { userId: ctx.from.id, joinedAt: new Date() } },
+        { upsert: true }
+    );
+    if (!await acquireDeliveryLock(ctx.from.id)) return sendBusyNotice(ctx);
+
+    try {
+        await startDelivery(ctx, bot, movie);
+    } catch (e) {
+        await releaseDeliveryLock(ctx.from.id);
+        throw e;
+    }
+}
 
 // ────────────────────────────────────────────────────────────────────
 // Core Delivery — Force Sub check happens HERE (after monetization)
@@ -368,7 +617,7 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
                     reply_markup: {
                         inline_keyboard: [
                             [{ text: '📢 Join Channel  →', url: joinUrl }],
-                            [{ text: '✅ Done! Check Now', callback_data: `fs_${encodeMovieLink(movie.title)}` }]
+                            [{ text: '✅ Done! Check Now', callback_data: movieCallback('forceSub', movie) }]
                         ]
                     }
                 }
@@ -377,6 +626,32 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
             return;
         }
 
+        // ── Reuse Active Lease ───────────────────────────────────────
+        // Same movie again while its room is still held → same room, no recopy. The old
+        // invite is single-use and may be spent (joined, then left), so swap in a fresh one.
+        const lease = await findActiveLease(ctx.from.id, movie._id);
+        if (lease) {
+            await ctx.api.revokeChatInviteLink(lease.roomId, lease.inviteLink).catch(() => { });
+            const invite = await ctx.api.createChatInviteLink(lease.roomId, {
+                member_limit: 1,
+                expire_date: Math.floor(lease.leaseExpiresAt.getTime() / 1000),
+                name: `Delivery: ${movie.title.substring(0, 20)}`
+            });
+            await sendDeliveryCard(ctx, waitMsgId, movie, lease.clipCount, invite.invite_link);
+            await Delivery.create({
+                userId: ctx.from.id,
+                movieId: movie._id,
+                title: movie.title,
+                roomId: lease.roomId,
+                inviteLink: invite.invite_link,
+                clipCount: lease.clipCount,
+                reused: true,
+                leaseExpiresAt: lease.leaseExpiresAt
+            });
+            await sendToLogChannel(bot, `♻️ <b>Room Reused</b> (fresh invite)\nUser: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\nMovie: <i>${movie.title}</i>\nRoom: <code>${lease.roomId}</code>`);
+            return;
+        }
+
         // ── Assign Room ──────────────────────────────────────────────
         const freeRooms = await Room.find({ isBusy: false }).select('_id').lean();
         let room = null;
@@ -508,7 +783,15 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
                                 else if (f.fileType === 'animation') m = await ctx.api.sendAnimation(room.roomId, f.fileId, { caption: f.caption || undefined });
                                 if (m) newMessageIds.push(m.message_id);
                                 await sleep(500);
-                            } catch (_) { }
+                            } catch (_) {
+                                // Stale file_id: copy the original post from its storage channel instead
+                                if (!f.sourceChatId || !f.sourceMessageId) continue;
+                                try {
+                                    const c = await ctx.api.copyMessage(room.roomId, f.sourceChatId, f.sourceMessageId);
+                                    newMessageIds.push(c.message_id);
+                                    await sleep(400);
+                                } catch (_) { }
+                            }
                         }
                     }
                 }
@@ -518,8 +801,8 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
                 await sendBatch(groups[type]);
             }
         } else {
-            // ── Legacy path: copyMessages using stored messageIds ──
-            const dbChannel = process.env.DB_CHANNEL_ID;
+            // ── Legacy path: copyMessages using stored messageIds (they carry no chat) ──
+            const dbChannel = getPrimaryChannelId();
             for (let i = 0; i < movie.messageIds.length; i += 10) {
                 const chunk = movie.messageIds.slice(i, i + 10);
                 try {
@@ -544,43 +827,24 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
         room.lastUsed = new Date();
         await room.save();
 
-        // Free the room after 15 minutes grace period (so user can download clips).
+        // Free the room after the lease (so user can download clips).
         // We do NOT clear currentUserId or lastMessageIds here, so the next
         // delivery has the info it needs to ban the user and delete old messages.
-        setTimeout(async () => {
-            try {
-                room.isBusy = false;
-                await room.save();
-                console.log(`✅ Room ${room.roomId} freed after grace period`);
-            } catch (e) {
-                console.error('Error freeing room:', e.message);
-            }
-        }, 20 * 60 * 1000); // 15 minutes
+        scheduleRoomRelease(room.roomId, room.lastUsed, ROOM_LEASE_MS);
+
+        await Delivery.create({
+            userId: ctx.from.id,
+            movieId: movie._id,
+            title: movie.title,
+            roomId: room.roomId,
+            inviteLink: invite.invite_link,
+            clipCount: newMessageIds.length,
+            leaseExpiresAt: new Date(Date.now() + ROOM_LEASE_MS)
+        });
+        recordActivity(movie._id, 'deliveries'); // Not awaited
 
         // ── Send Delivery Card ───────────────────────────────────────
-        await ctx.api.editMessageText(
-            ctx.chat.id, waitMsgId,
-            `✅ <b>ALL CLIPS READY !</b>\n` +
-            `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-            `🎬 <b>Movie:</b> <code>${movie.title}</code>\n` +
-            `📂 <b>Clips:</b> ${newMessageIds.length} Files\n\n` +
-            `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-            `⚠️ <b>Note:</b>\n` +
-            `• Access expires in <b>2 hours</b>\n` +
-            `• One-time entry only\n\n` +
-            `🚀 <i>CLIPS ARE UPLOADED HERE!</i>`,
-            {
-                parse_mode: 'HTML',
-                reply_markup: {
-                    inline_keyboard: [[{ text: '🚪 Open My Clips  →', url: invite.invite_link }]]
-                }
-            }
-        );
-
-        // Auto-delete delivery message after 10 minutes (keeps PM clean)
-        setTimeout(async () => {
-            try { await ctx.api.deleteMessage(ctx.chat.id, waitMsgId); } catch (_) { }
-        }, 10 * 60 * 1000);
+        await sendDeliveryCard(ctx, waitMsgId, movie, newMessageIds.length, invite.invite_link);
 
         // Track delivery stats
         global.todayStats.deliveries++;
@@ -640,68 +904,6 @@ async function deliverMovie(ctx, bot, movie, waitMsgId) {
     } finally {
         await User.findOneAndUpdate({ userId: ctx.from.id }, { isDelivering: false });
     }
-
-    // Handle Force Sub "I've Joined" callback
-    bot.callbackQuery(/^fs_(.+)$/, async (ctx) => {
-        await ctx.answerCallbackQuery();
-
-        const encodedMovieTitle = ctx.match[1];
-        const movieTitle = decodeMovieLink(encodedMovieTitle);
-
-        if (!movieTitle) {
-            return await ctx.editMessageText(
-                '❌ Link expired. Please search for the movie again in the group.',
-                { parse_mode: 'HTML' }
-            );
-        }
-
-        // Check if user joined channel
-        const isMember = await checkForceSub(ctx);
-        if (!isMember) {
-            const forceSubChannel = await getSetting('forceSubChannel', null);
-            let joinUrl = forceSubChannel;
-            if (forceSubChannel && !forceSubChannel.startsWith('http')) {
-                try {
-                    const chatInfo = await ctx.api.getChat(forceSubChannel);
-                    joinUrl = chatInfo.invite_link || `https://t.me/${forceSubChannel.replace('@', '')}`;
-                } catch (_) {
-                    joinUrl = `https://t.me/${forceSubChannel.replace('@', '')}`;
-                }
-            }
-
-            return await ctx.editMessageText(
-                `📢 <b>You haven't joined yet!</b>\n\n` +
-                `Please join the channel first, then tap the button again.`,
-                {
-                    parse_mode: 'HTML',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '📢 Join Channel', url: joinUrl }],
-                            [{ text: '✅ I\'ve Joined - Check Now', callback_data: `fs_${encodedMovieTitle}` }]
-                        ]
-                    }
-                }
-            );
-        }
-
-        // User joined - deliver movie
-        const movie = await Movie.findOne({ title: movieTitle });
-        if (!movie || (!movie.messageIds?.length && !movie.files?.length)) {
-            return await ctx.editMessageText(
-                '❌ Clips not available anymore. Please search for another movie.',
-                { parse_mode: 'HTML' }
-            );
-        }
-
-        // Log force sub verified
-        await sendToLogChannel(bot, `✅ <b>Force Sub Verified</b>\n\n👤 User: ${getUserNameForLog(ctx.from)} (<code>${ctx.from.id}</code>)\n🎬 Movie: <i>${movie.title}</i>\n\n#verified 📢`);
-
-        await ctx.editMessageText(
-            `✅ <b>Welcome back!</b>\n\n⏳ Preparing your clips...`,
-            { parse_mode: 'HTML' }
-        );
-
-        // Trigger delivery
-        deliverMovie(ctx, bot, movie, ctx.callbackQuery.message.message_id).catch(e => console.error('Delivery Error:', e));
-    });
 };
+
+module.exports.deliverFromSearch = deliverFromSearch;
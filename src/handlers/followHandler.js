@@ -0,0 +1,232 @@
+const { Follow, User, Movie } = require('../database');
+const { formatMovieTitle, escapeHtml } = require('../utils/helpers');
+const { resolveFollowTarget, followTarget, unfollowTarget, toggleFavorite, favoriteButtonText } = require('../utils/follows');
+const { expandId, movieCallback, movieCallbackPattern, resolveCallbackMovie } = require('../utils/callbacks');
+const { getMovieStartUrl } = require('../utils/deepLinks');
+const { InlineKeyboard } = require('grammy');
+
+const MAX_FOLLOWS = 50;
+const FAVORITES_PER_PAGE = 10;
+
+// Current follows as a list of unfollow buttons
+async function buildFollowList(userId) {
+    const follows = await Follow.find({ userId }).sort({ createdAt: -1 }).lean();
+
+    let text = `🔔 <b>YOUR FOLLOWS</b> (${follows.length})\n`;
+    text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+
+    if (follows.length === 0) {
+        text += `You're not following anything yet.\n\n`;
+        text += `<code>/follow Leo</code> - New clips of a movie\n`;
+        text += `<code>/follow #Vijay</code> - New clips in a category`;
+        return { text, keyboard: undefined };
+    }
+
+    text += `You get one PM digest when new clips are added.\n`;
+    text += `Tap to unfollow:`;
+
+    const keyboard = new InlineKeyboard();
+    follows.forEach(f => {
+        const icon = f.type === 'movie' ? '🎬' : '👤';
+        keyboard.text(`❌ ${icon} ${f.type === 'category' ? '#' : ''}${f.label}`, `uf_${f._id}`).row();
+    });
+    return { text, keyboard };
+}
+
+// One page of favorites, newest first: a /start button per movie plus a remove button
+async function buildFavoritesPage(ctx, page = 0) {
+    const user = await User.findOne({ userId: ctx.from.id }).select('favorites').lean();
+    const ids = [...(user?.favorites || [])].reverse();
+
+    let text = `⭐ <b>YOUR FAVORITES</b> (${ids.length})\n`;
+    text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+
+    if (ids.length === 0) {
+        text += `No favorites yet.\n\n`;
+        text += `Tap <b>⭐ Favorite</b> on a search result or delivery card to save a movie here.`;
+        return { text, keyboard: undefined };
+    }
+
+    const totalPages = Math.ceil(ids.length / FAVORITES_PER_PAGE);
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageIds = ids.slice(page * FAVORITES_PER_PAGE, (page + 1) * FAVORITES_PER_PAGE);
+    const movies = await Movie.find({ _id: { $in: pageIds } }).select('title nativeTitle').lean();
+
+    text += `🔔 You get a PM when new clips are added.\n`;
+    text += `👇 Tap a title to get the clips, ❌ to remove:`;
+    if (totalPages > 1) text += `\n\n📄 Page ${page + 1}/${totalPages}`;
+
+    const keyboard = new InlineKeyboard();
+    for (const id of pageIds) {
+        const movie = movies.find(m => m._id.equals(id));
+        if (!movie) continue; // Deleted from the catalog
+        keyboard
+            .url(`🎬 ${formatMovieTitle(movie).substring(0, 40)}`, await getMovieStartUrl(ctx, movie))
+            .text('❌', movieCallback('unfavorite', movie))
+            .row();
+    }
+
+    if (totalPages > 1) {
+        if (page > 0) keyboard.text('⬅️ Prev', `favp_${page - 1}`);
+        if (page < totalPages - 1) keyboard.text('Next ➡️', `favp_${page + 1}`);
+    }
+    return { text, keyboard };
+}
+
+module.exports = (bot) => {
+    // /follow <movie> or /follow #category
+    bot.command('follow', async (ctx) => {
+        const args = ctx.match.trim();
+
+        if (!args) {
+            const { text, keyboard } = await buildFollowList(ctx.from.id);
+            return ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
+        }
+
+        try {
+            const target = await resolveFollowTarget(args);
+            if (!target) {
+                return ctx.reply(
+                    `❌ Nothing found for "<b>${escapeHtml(args)}</b>"\n\n` +
+                    `💡 Use the exact movie name, or <code>#Name</code> for a category.`,
+                    { parse_mode: 'HTML' }
+                );
+            }
+
+            if (await Follow.countDocuments({ userId: ctx.from.id }) >= MAX_FOLLOWS) {
+                return ctx.reply(`⚠️ You can follow up to ${MAX_FOLLOWS} movies and categories. /unfollow some first!`);
+            }
+
+            const created = await followTarget(ctx.from.id, target);
+            const name = escapeHtml(target.type === 'category' ? `#${target.label}` : target.label);
+            await ctx.reply(
+                created
+                    ? `🔔 <b>Following ${name}!</b>\n\nI'll PM you a digest when new clips are added.` +
+                      `${ctx.chat.type !== 'private' ? `\n\n💡 Make sure you've started me in PM.` : ''}`
+                    : `👍 You already follow <b>${name}</b>.`,
+                { parse_mode: 'HTML' }
+            );
+        } catch (error) {
+            console.error('Follow error:', error);
+        }
+    });
+
+    // /unfollow <movie> or /unfollow #category; no args shows the list
+    bot.command('unfollow', async (ctx) => {
+        const args = ctx.match.trim();
+
+        if (!args) {
+            const { text, keyboard } = await buildFollowList(ctx.from.id);
+            return ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
+        }
+
+        try {
+            const target = await resolveFollowTarget(args);
+            const removed = target && await unfollowTarget(ctx.from.id, target);
+            await ctx.reply(
+                removed
+                    ? `🔕 Unfollowed <b>${target.type === 'category' ? '#' : ''}${escapeHtml(target.label)}</b>.`
+                    : `❌ You don't follow "<b>${escapeHtml(args)}</b>". Type /unfollow to see your list.`,
+                { parse_mode: 'HTML' }
+            );
+        } catch (error) {
+            console.error('Unfollow error:', error);
+        }
+    });
+
+    // Unfollow button from the /follow list
+    bot.callbackQuery(/^uf_([a-f0-9]{24})$/, async (ctx) => {
+        const follow = await Follow.findOneAndDelete({ _id: ctx.match[1], userId: ctx.from.id });
+        await ctx.answerCallbackQuery({ text: follow ? `🔕 Unfollowed ${follow.label}` : '⚠️ Already removed' });
+
+        const { text, keyboard } = await buildFollowList(ctx.from.id);
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+
+    // Follow toggle on the search result card
+    bot.callbackQuery(movieCallbackPattern('follow'), async (ctx) => {
+        try {
+            const movie = await resolveCallbackMovie(ctx.match[1]);
+            if (!movie) {
+                return await ctx.answerCallbackQuery({ text: '❌ Movie not found', show_alert: true });
+            }
+
+            const target = { type: 'movie', target: movie._id.toString(), label: movie.title };
+            if (await followTarget(ctx.from.id, target)) {
+                await ctx.answerCallbackQuery({
+                    text: `🔔 Following ${movie.title}! I'll PM you when new clips are added.\n\n💡 Make sure you've started me in PM.`,
+                    show_alert: true
+                });
+            } else {
+                await unfollowTarget(ctx.from.id, target);
+                await ctx.answerCallbackQuery({ text: `🔕 Unfollowed ${movie.title}`, show_alert: false });
+            }
+        } catch (error) {
+            console.error('Follow button error:', error);
+        }
+    });
+    // /favorites - starred movies (PM only, the buttons open deliveries)
+    bot.command('favorites', async (ctx) => {
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply('⭐ Open me in PM and type /favorites to see your starred movies.');
+        }
+
+        try {
+            const { text, keyboard } = await buildFavoritesPage(ctx);
+            await ctx.reply(text, { parse_mode: 'HTML', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Favorites error:', error);
+        }
+    });
+
+    bot.callbackQuery(/^favp_(\d+)$/, async (ctx) => {
+        await ctx.answerCallbackQuery();
+        const { text, keyboard } = await buildFavoritesPage(ctx, parseInt(ctx.match[1]));
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+
+    // Star toggle on the search result and delivery cards
+    bot.callbackQuery(movieCallbackPattern('favorite'), async (ctx) => {
+        try {
+            const movie = await resolveCallbackMovie(ctx.match[1]);
+            if (!movie) {
+                return await ctx.answerCallbackQuery({ text: '❌ Movie not found', show_alert: true });
+            }
+
+            const starred = await toggleFavorite(ctx.from.id, movie._id);
+            if (starred === null) {
+                await ctx.answerCallbackQuery({ text: '⚠️ Your favorites list is full. Remove some in /favorites first!', show_alert: true });
+            } else if (starred) {
+                await ctx.answerCallbackQuery({
+                    text: `⭐ Added ${movie.title} to your favorites!\n\nSee them with /favorites in PM. You'll also get new clips alerts.`,
+                    show_alert: true
+                });
+            } else {
+                await ctx.answerCallbackQuery({ text: `☆ Removed ${movie.title} from favorites`, show_alert: false });
+            }
+
+            // Relabel the tapped button so the next tap's effect is clear
+            const keyboard = ctx.callbackQuery.message?.reply_markup?.inline_keyboard;
+            if (starred !== null && keyboard) {
+                const relabeled = keyboard.map(row => row.map(button =>
+                    button.callback_data === ctx.callbackQuery.data ? { ...button, text: favoriteButtonText(starred) } : button
+                ));
+                await ctx.editMessageReplyMarkup({ reply_markup: { inline_keyboard: relabeled } }).catch(() => { });
+            }
+        } catch (error) {
+            console.error('Favorite button error:', error);
+        }
+    });
+
+    // Remove button in the /favorites list
+    bot.callbackQuery(movieCallbackPattern('unfavorite'), async (ctx) => {
+        const movieId = expandId(ctx.match[1]);
+        if (movieId) {
+            await User.updateOne({ userId: ctx.from.id }, { $pull: { favorites: movieId } });
+        }
+        await ctx.answerCallbackQuery({ text: '☆ Removed from favorites' });
+
+        const { text, keyboard } = await buildFavoritesPage(ctx);
+        await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard }).catch(() => { });
+    });
+};
@@ -1,5 +1,20 @@
-const { Movie } = require('../database');
-const { cleanMovieName, sendToLogChannel } = require('../utils/helpers');
+const { Movie, IndexJob } = require('../database');
+const { cleanMovieName, sendToLogChannel, escapeHtml } = require('../utils/helpers');
+const { indexMovie, unindexMovie } = require('../utils/searchIndex');
+const { notifyRequesters } = require('../utils/requests');
+const { queueNewClips } = require('../utils/follows');
+const { parseQueryFilters, extractMovieInfo } = require('../utils/queryFilters');
+const { recordCategories } = require('../utils/categories');
+const { extractFileInfo, extractTypedCategories, extractCategories, extractAliases, extractCaptionTitle } = require('../utils/captions');
+const { getStorageChannel, isStorageChannel, listStorageChannels, getPrimaryChannelId, registerStorageChannel, updateStorageChannel, removeStorageChannel } = require('../utils/storageChannels');
+const { findFileOwner, dedupeCatalog } = require('../utils/dedupe');
+const { ACTIVE_STATUSES, STATUS_ICONS, shortId, totalMessages, processedMessages, createIndexJob, findJob, setJobStatus } = require('../utils/indexJobs');
+
+// How a channel's posts get their movie title:
+// forward - from the source channel's name (clips forwarded in)
+// caption - from "#title Leo" or the caption's first line (clips uploaded directly)
+// both    - forwards by channel name, everything else by caption
+const INDEX_STRATEGIES = ['forward', 'caption', 'both'];
 
 // Admin check function
 const isAdmin = (ctx) => {
@@ -7,43 +22,35 @@ const isAdmin = (ctx) => {
     return adminId && ctx.from && ctx.from.id.toString() === adminId;
 };
 
-// Extract file info from a Telegram message object
-function extractFileInfo(msg) {
-    if (msg.video) return { fileId: msg.video.file_id, fileType: 'video', caption: msg.caption || '' };
-    if (msg.photo) {
-        const best = msg.photo[msg.photo.length - 1]; // largest resolution
-        return { fileId: best.file_id, fileType: 'photo', caption: msg.caption || '' };
-    }
-    if (msg.document) return { fileId: msg.document.file_id, fileType: 'document', caption: msg.caption || '' };
-    if (msg.audio) return { fileId: msg.audio.file_id, fileType: 'audio', caption: msg.caption || '' };
-    return null;
-}
+const albumTitles = new Map(); // media_group_id → title, for caption-less album items
 
-// Extract categories from caption (supports hashtags and manual format)
-function extractCategories(caption) {
-    if (!caption) return [];
+// Indexing strategy for a storage channel (/indexmode), 'forward' unless changed
+const getIndexStrategy = (chatId) => getStorageChannel(chatId)?.indexMode || 'forward';
 
-    const categories = [];
+// Movie title for a channel message under its channel's strategy, or null to skip it
+function resolveIndexTitle(msg) {
+    const strategy = getIndexStrategy(msg.chat.id);
+    const origin = msg.forward_origin;
 
-    // Extract hashtags: #Rajinikanth
-    const hashtags = caption.match(/#[\w]+/g);
-    if (hashtags) {
-        hashtags.forEach(tag => {
-            categories.push(tag.replace('#', '').trim());
-        });
+    if (origin && strategy !== 'caption') {
+        if (origin.type !== 'channel' || !origin.chat?.title) return null;
+        const { caption } = extractCaptionTitle(msg.caption || '');
+        return { movieName: cleanMovieName(origin.chat.title), caption, source: 'forward' };
     }
-
-    // Extract format: (Hero: Rajinikanth, Heroine: Lakshmi)
-    const heroMatch = caption.match(/hero[:\s]+([A-Za-z0-9]+)/i);
-    if (heroMatch) categories.push(heroMatch[1].trim());
-
-    const heroineMatch = caption.match(/heroine[:\s]+([A-Za-z0-9]+)/i);
-    if (heroineMatch) categories.push(heroineMatch[1].trim());
-
-    const directorMatch = caption.match(/director[:\s]+([A-Za-z0-9]+)/i);
-    if (directorMatch) categories.push(directorMatch[1].trim());
-
-    return [...new Set(categories)]; // Remove duplicates
+    if (strategy === 'forward') return null;
+
+    // Albums carry the caption on one item only; the rest reuse its title
+    const { title, caption } = extractCaptionTitle(msg.caption || '');
+    const albumId = msg.media_group_id;
+    if (!title) {
+        const albumTitle = albumId && albumTitles.get(albumId);
+        return albumTitle ? { movieName: albumTitle, caption: '', source: 'caption' } : null;
+    }
+    if (albumId) {
+        albumTitles.set(albumId, title);
+        if (albumTitles.size > 100) albumTitles.delete(albumTitles.keys().next().value);
+    }
+    return { movieName: title, caption, source: 'caption' };
 }
 
 // Parse message link to get channel and message ID
@@ -59,22 +66,34 @@ function parseMessageLink(link) {
     return null;
 }
 
-async function indexMessage(msg, msgId, bot) {
-    if (!msg.forward_origin) return;
-    const origin = msg.forward_origin;
-    if (origin.type !== 'channel') return;
-
-    const rawTitle = origin.chat?.title;
-    if (!rawTitle) return;
-
-    const movieName = cleanMovieName(rawTitle);
-    if (!movieName) return;
+// Chat id for a link's channel part: numeric ids from t.me/c/ links, usernames looked up
+async function resolveLinkChat(api, channel) {
+    if (/^\d+$/.test(channel)) return `-100${channel}`;
+    const chat = await api.getChat(`@${channel}`);
+    return String(chat.id);
+}
 
+async function indexMessage(msg, msgId, bot) {
     const fileInfo = extractFileInfo(msg);
     if (!fileInfo) return; // Skip non-media messages
+    fileInfo.sourceChatId = String(msg.chat.id);
+    fileInfo.sourceMessageId = msgId;
+
+    const resolved = resolveIndexTitle(msg);
+    if (!resolved?.movieName) return;
+    const { movieName, caption, source } = resolved;
+
+    // Same clip forwarded or uploaded again - already in the catalog
+    const owner = await findFileOwner(fileInfo);
+    if (owner) {
+        console.log(`⏭️ Skipped duplicate clip for ${movieName} (already in ${owner})`);
+        return;
+    }
 
-    // Extract categories from caption
-    const categories = extractCategories(msg.caption || '');
+    // Extract categories and alternate titles from caption
+    const typedCategories = extractTypedCategories(caption);
+    const categories = extractCategories(caption);
+    const aliases = extractAliases(caption).filter(a => a !== movieName);
 
     try {
         const movie = await Movie.findOne({ title: movieName });
@@ -82,10 +101,7 @@ async function indexMessage(msg, msgId, bot) {
 
         const updateData = {
             $setOnInsert: { title: movieName, requests: 0 },
-            $addToSet: {
-                messageIds: msgId,
-                files: fileInfo
-            }
+            $addToSet: { files: fileInfo } // Source chat/message live on the file; messageIds is legacy
         };
 
         // Auto-set thumbnail if it's a photo and movie has none
@@ -100,24 +116,47 @@ async function indexMessage(msg, msgId, bot) {
             updateData.$addToSet.categories = { $each: categories };
         }
 
-        await Movie.findOneAndUpdate(
+        // Add aliases if any
+        if (aliases.length > 0) {
+            updateData.$addToSet.aliases = { $each: aliases };
+        }
+
+        // Year/language/quality from the caption, only where the movie has none yet
+        const info = extractMovieInfo(msg.caption || '');
+        Object.entries(info).forEach(([field, value]) => {
+            if (!movie || movie[field] == null) {
+                updateData.$set = { ...updateData.$set, [field]: value };
+            }
+        });
+
+        const updated = await Movie.findOneAndUpdate(
             { title: movieName },
             updateData,
             { upsert: true, returnDocument: 'after' }
         );
+        indexMovie(updated);
+        await recordCategories(typedCategories);
+
+        // Re-forwarded clips are no-ops for $addToSet, so only count real additions
+        if (updated.files.length > (movie ? movie.files.length : 0)) {
+            queueNewClips(updated, 1);
+        }
 
         if (isNewMovie) {
+            // Detached: it sleeps between PMs and would hold up the posts queued behind this one
+            notifyRequesters(bot, updated).catch(e => console.error('Request notify error:', e.message));
             console.log(`📂 Added NEW movie: ${movieName}`);
             await sendToLogChannel(bot, `📂 <b>New Movie Auto-Indexed</b>\n\n` +
                 `🎬 <b>${movieName}</b>\n` +
                 `📂 First clip added: ${fileInfo.fileType}\n` +
+                `🏷️ Title from: ${source === 'caption' ? 'caption' : 'channel name'}\n` +
                 `${thumbnailSet ? '🖼️ <b>Thumbnail auto-set from photo!</b>\n' : ''}` +
                 `${categories.length > 0 ? `👤 Categories: ${categories.join(', ')}` : ''}`);
         } else if (thumbnailSet) {
             console.log(`🖼️ Auto-set thumbnail for: ${movieName}`);
             await sendToLogChannel(bot, `🖼️ <b>Thumbnail Auto-Set</b>\n\n` +
                 `🎬 <b>${movieName}</b>\n` +
-                `📸 Set from forwarded photo`);
+                `📸 Set from ${source === 'caption' ? 'uploaded' : 'forwarded'} photo`);
         } else if (categories.length > 0) {
             console.log(`📂 Added ${movieName} with categories: ${categories.join(', ')}`);
         }
@@ -127,20 +166,175 @@ async function indexMessage(msg, msgId, bot) {
 }
 
 module.exports = (bot) => {
-    // Listen for forwarded media in the DB channel (message event for non-channel bots)
+    // Listen for forwarded media in storage channels (message event for non-channel bots)
     bot.on('message', async (ctx, next) => {
-        const dbChannelId = process.env.DB_CHANNEL_ID;
-        if (!dbChannelId || ctx.chat.id.toString() !== dbChannelId) return next();
+        if (!isStorageChannel(ctx.chat.id)) return next();
         await indexMessage(ctx.message, ctx.message.message_id, bot);
     });
 
     // Also handle channel_post if the bot is a channel admin
     bot.on('channel_post', async (ctx, next) => {
-        const dbChannelId = process.env.DB_CHANNEL_ID;
-        if (!dbChannelId || ctx.chat.id.toString() !== dbChannelId) return next();
+        if (!isStorageChannel(ctx.chat.id)) return next();
         await indexMessage(ctx.channelPost, ctx.channelPost.message_id, bot);
     });
 
+    // ────────────────────────────────────────────────────────────────────
+    // STORAGE CHANNELS - where clips are indexed from and copied out of
+    // ────────────────────────────────────────────────────────────────────
+    bot.command('channels', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const channels = listStorageChannels();
+        if (channels.length === 0) {
+            return ctx.reply('📭 No storage channels yet. Add one with /addchannel -100XXXX');
+        }
+
+        // Clips per source channel; null are clips indexed before sources were recorded
+        const counts = await Movie.aggregate([
+            { $unwind: '$files' },
+            { $group: { _id: '$files.sourceChatId', count: { $sum: 1 } } }
+        ]);
+        const countFor = (chatId) => counts.find(c => c._id === chatId)?.count || 0;
+        const primaryId = getPrimaryChannelId();
+
+        let text = `🗄️ <b>STORAGE CHANNELS</b> (${channels.length})\n`;
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+        for (const c of channels) {
+            text += `<b>${escapeHtml(c.title || 'Untitled')}</b> <code>${c.chatId}</code>${c.chatId === primaryId ? ' ⭐' : ''}\n`;
+            text += `⚙️ ${c.indexMode} • 📂 ${countFor(c.chatId)} clips\n\n`;
+        }
+        const unknown = countFor(null);
+        if (unknown > 0) text += `❔ ${unknown} older clips have no source recorded\n`;
+        text += `⭐ Primary: holds clips stored before sources were tracked\n`;
+        text += `💡 /addchannel -100XXXX • /delchannel -100XXXX • /indexmode`;
+
+        await ctx.reply(text, { parse_mode: 'HTML' });
+    });
+
+    // /addchannel -100XXXX [forward|caption|both] - the bot must be an admin there
+    bot.command('addchannel', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const [chatId, mode] = ctx.match.trim().split(/\s+/).filter(Boolean);
+        const indexMode = INDEX_STRATEGIES.includes((mode || '').toLowerCase()) ? mode.toLowerCase() : 'forward';
+        if (!/^-\d+$/.test(chatId || '')) {
+            return ctx.reply('Usage: /addchannel -100XXXXXX [forward|caption|both]');
+        }
+
+        try {
+            const chat = await ctx.api.getChat(chatId);
+            if (chat.type !== 'channel') return ctx.reply('❌ That chat is not a channel.');
+
+            const channel = await registerStorageChannel(chatId, { title: chat.title || '', indexMode });
+            await ctx.reply(
+                `✅ <b>Storage channel registered!</b>\n\n` +
+                `📡 <b>${escapeHtml(channel.title || 'Untitled')}</b> <code>${channel.chatId}</code>\n` +
+                `⚙️ <b>Index mode:</b> ${channel.indexMode}\n\n` +
+                `💡 New posts there are indexed automatically, and /addmovie accepts its links.`,
+                { parse_mode: 'HTML' }
+            );
+            await sendToLogChannel(bot, `🗄️ <b>Storage Channel Added</b>\n${escapeHtml(channel.title)} (<code>${channel.chatId}</code>)`);
+        } catch (e) {
+            ctx.reply(`❌ Could not read that channel. Add me as an admin first!\n\n${e.message}`);
+        }
+    });
+
+    bot.command('delchannel', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const chatId = ctx.match.trim();
+        if (!/^-\d+$/.test(chatId)) return ctx.reply('Usage: /delchannel -100XXXXXX');
+
+        const removed = await removeStorageChannel(chatId);
+        if (!removed) return ctx.reply(`❌ Channel <code>${chatId}</code> is not registered.`, { parse_mode: 'HTML' });
+
+        const clips = await Movie.countDocuments({ 'files.sourceChatId': chatId });
+        ctx.reply(
+            `🗑️ Channel <code>${chatId}</code> removed. I'll stop indexing from it.` +
+            `${clips > 0 ? `\n\n📂 ${clips} movie(s) have clips from it. They still deliver while the channel exists.` : ''}`,
+            { parse_mode: 'HTML' }
+        );
+    });
+
+    // /indexmode [chatId] forward|caption|both - how a channel's posts are titled
+    bot.command('indexmode', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const args = ctx.match.trim().split(/\s+/).filter(Boolean);
+        const chatId = /^-\d+$/.test(args[0] || '') ? args.shift() : getPrimaryChannelId();
+        const strategy = (args[0] || '').toLowerCase();
+
+        if (!chatId) return ctx.reply('❌ No storage channel yet. Add one with /addchannel -100XXXX');
+        if (!isStorageChannel(chatId)) {
+            return ctx.reply(`❌ <code>${chatId}</code> is not a storage channel. Add it with /addchannel first.`, { parse_mode: 'HTML' });
+        }
+
+        if (!INDEX_STRATEGIES.includes(strategy)) {
+            const current = getIndexStrategy(chatId);
+            return ctx.reply(
+                `🗂️ <b>INDEX MODE</b>\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `📡 <b>Channel:</b> <code>${chatId}</code>\n` +
+                `⚙️ <b>Current:</b> ${current}\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+                `▫️ <code>forward</code> - title from the forwarded-from channel name\n` +
+                `▫️ <code>caption</code> - title from <code>#title Leo</code> or the caption's first line\n` +
+                `▫️ <code>both</code> - forwards by channel name, direct uploads by caption\n\n` +
+                `<b>Usage:</b> <code>/indexmode [chatId] forward|caption|both</code>`,
+                { parse_mode: 'HTML' }
+            );
+        }
+
+        await updateStorageChannel(chatId, { $set: { indexMode: strategy } });
+        ctx.reply(`✅ Index mode for <code>${chatId}</code> set to: <b>${strategy}</b>`, { parse_mode: 'HTML' });
+    });
+
+    // /dedupe [dry] - remove clips stored more than once across the catalog
+    bot.command('dedupe', async (ctx) => {
+        if (!isAdmin(ctx)) return;
+        const dryRun = ['dry', 'check'].includes(ctx.match.trim().toLowerCase());
+
+        const status = await ctx.reply(
+            dryRun ? '🔍 Looking up file ids and checking for duplicate clips...' : '🧹 Looking up file ids and removing duplicate clips...'
+        );
+        const edit = (text) => ctx.api.editMessageText(ctx.chat.id, status.message_id, text, { parse_mode: 'HTML' }).catch(() => { });
+
+        // Detached: backfilling ids for a big catalog takes minutes
+        (async () => {
+            let lastProgress = 0;
+            const result = await dedupeCatalog(ctx.api, {
+                dryRun,
+                onProgress: async (filled) => {
+                    if (filled - lastProgress < 50) return;
+                    lastProgress = filled;
+                    await edit(`🧹 Looking up file ids... <b>${filled}</b> done`);
+                }
+            });
+
+            const movieLines = result.movies.slice(0, 15)
+                .map(m => `▸ ${escapeHtml(m.title)}: -${m.removed}${m.empty ? ' <i>(now empty)</i>' : ''}\n`)
+                .join('');
+            const emptyCount = result.movies.filter(m => m.empty).length;
+
+            await edit(
+                `${dryRun ? '🔍 <b>DUPLICATE CHECK</b>' : '🧹 <b>DEDUPE COMPLETE</b>'}\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `📂 <b>Files scanned:</b> ${result.scanned}\n` +
+                `${dryRun ? '🗑️ <b>Duplicates found:</b>' : '🗑️ <b>Duplicates removed:</b>'} ${result.removed}\n` +
+                `🎬 <b>Movies affected:</b> ${result.movies.length}\n` +
+                `${result.backfilled > 0 ? `🔑 <b>File ids looked up:</b> ${result.backfilled}\n` : ''}` +
+                `${result.unchecked > 0 ? `⚠️ <b>Matched by file_id only:</b> ${result.unchecked}\n` : ''}` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+                `${movieLines}` +
+                `${result.movies.length > 15 ? `<i>...and ${result.movies.length - 15} more</i>\n` : ''}` +
+                `${emptyCount > 0 ? `\n💡 ${emptyCount} movie(s) only had duplicates - check them with /delmovie` : ''}` +
+                `${dryRun && result.removed > 0 ? `\n💡 Run /dedupe to remove them.` : ''}`
+            );
+            if (!dryRun && result.removed > 0) {
+                await sendToLogChannel(bot, `🧹 <b>Dedupe</b>\n\n🗑️ Removed ${result.removed} duplicate clip(s) from ${result.movies.length} movie(s)`);
+            }
+        })().catch(async (e) => {
+            console.error('Dedupe error:', e);
+            await edit(`❌ Dedupe failed: ${escapeHtml(e.message)}`);
+        });
+    });
+
     // Admin command to add movies using message link range
     bot.command('addmovie', async (ctx) => {
         if (!isAdmin(ctx)) return;
@@ -156,8 +350,10 @@ module.exports = (bot) => {
                 `📝 <b>Example:</b>\n` +
                 `<code>/addmovie Leo | https://t.me/c/123/1 | https://t.me/c/123/10 | #Vijay</code>\n\n` +
                 `💡 <b>Tips:</b>\n` +
-                `• Links must be from your database channel\n` +
+                `• Links must be from a storage channel (/channels)\n` +
                 `• Categories help in search results\n` +
+                `• Captions with <code>aka: Other Name</code> add aliases\n` +
+                `• Add <code>year:2023 lang:tamil quality:1080p</code> after the category\n` +
                 `• All messages in range will be added!`,
                 { parse_mode: 'HTML' }
             );
@@ -167,13 +363,19 @@ module.exports = (bot) => {
         const startLink = args[1].trim();
         const endLink = args[2].trim();
 
-        // Extract categories from 4th parameter (hashtags)
+        // Extract categories (hashtags) and year:/lang:/quality: from 4th parameter
         let categories = [];
+        const movieInfo = {};
         if (args[3]) {
             const hashtags = args[3].match(/#[\w]+/g);
             if (hashtags) {
                 categories = hashtags.map(tag => tag.replace('#', '').trim());
             }
+
+            const { filters } = parseQueryFilters(args[3]);
+            ['year', 'language', 'quality'].forEach(field => {
+                if (filters[field]) movieInfo[field] = filters[field];
+            });
         }
 
         const startMsg = parseMessageLink(startLink);
@@ -183,147 +385,113 @@ module.exports = (bot) => {
             return ctx.reply(`❌ Wrong link format! Use:\nhttps://t.me/channel/123`, { parse_mode: 'HTML' });
         }
 
-        // Get messages from the channel and add them
+        if (startMsg.channel !== endMsg.channel) {
+            return ctx.reply(`❌ Start and end links must be from same channel!`);
+        }
+        if (endMsg.messageId < startMsg.messageId) {
+            return ctx.reply(`❌ The end link must come after the start link!`);
+        }
+
+        // Only registered channels: delivery copies clips back out of them
+        let chatId;
         try {
-            let addedCount = 0;
+            chatId = await resolveLinkChat(ctx.api, startMsg.channel);
+        } catch (e) {
+            return ctx.reply(`❌ Could not find channel "${startMsg.channel}". Is the bot a member?`);
+        }
+        if (!isStorageChannel(chatId)) {
+            return ctx.reply(
+                `❌ <code>${chatId}</code> is not a storage channel.\n\nAdd it first: <code>/addchannel ${chatId}</code>`,
+                { parse_mode: 'HTML' }
+            );
+        }
 
+        // Queue the range; the index worker walks it in the background
+        try {
+            const isNewMovie = !(await Movie.exists({ title }));
             const totalMsgs = endMsg.messageId - startMsg.messageId + 1;
-            let progressMsg = await ctx.reply(
-                `🔄 <b>Indexing "${title}"...</b>\n\n` +
-                `📊 Progress: <b>0</b> / ${totalMsgs} messages\n` +
-                `⏳ Processing...`,
+            const progressMsg = await ctx.reply(
+                `🕒 <b>Queued: "${escapeHtml(title)}"</b>\n\n` +
+                `📊 Progress: <b>0</b> / ${totalMsgs} messages`,
                 { parse_mode: 'HTML' }
             );
 
-            // If same channel, get messages in range
-            if (startMsg.channel === endMsg.channel) {
-                const channelId = startMsg.channel;
-
-                // Convert to chat ID if needed (for private channels)
-                let chatId = channelId;
-                if (!channelId.startsWith('-100')) {
-                    chatId = '-100' + channelId;
-                }
+            await createIndexJob({
+                title,
+                chatId,
+                startId: startMsg.messageId,
+                endId: endMsg.messageId,
+                categories,
+                movieInfo,
+                isNewMovie,
+                statusChatId: String(ctx.chat.id),
+                statusMessageId: progressMsg.message_id
+            });
+        } catch (error) {
+            console.error('Error adding movie:', error);
+            ctx.reply(`❌ Error: ${error.message}`);
+        }
+    });
 
-                let foundThumbnail = null;
-
-                for (let msgId = startMsg.messageId; msgId <= endMsg.messageId; msgId++) {
-                    try {
-                        const msgs = await ctx.api.getMessages(chatId, [msgId]);
-                        const msg = Array.isArray(msgs) ? msgs[0] : msgs;
-
-                        console.log('Msg ' + msgId + ': photo=' + !!msg.photo + ', video=' + !!msg.video + ', doc=' + !!msg.document + ', anim=' + !!msg.animation);
-
-                        const fileInfo = extractFileInfo(msg);
-
-                        // Detect thumbnail from first media found
-                        if (!foundThumbnail) {
-                            if (msg.photo && msg.photo.length > 0) {
-                                // Use largest photo as thumbnail
-                                foundThumbnail = msg.photo[msg.photo.length - 1].file_id;
-                                console.log('Found photo thumbnail!');
-                            } else if (msg.video && msg.video.thumbnail) {
-                                // Use video thumbnail
-                                foundThumbnail = msg.video.thumbnail.file_id;
-                                console.log('Found video thumbnail!');
-                            } else if (msg.document && msg.document.thumbnail) {
-                                // Use document thumbnail
-                                foundThumbnail = msg.document.thumbnail.file_id;
-                                console.log('Found doc thumbnail!');
-                            } else if (msg.animation) {
-                                // Use animation/GIF
-                                foundThumbnail = msg.animation.file_id;
-                                console.log('Found animation!');
-                            }
-                        }
-
-                        if (fileInfo) {
-                            // Extract categories from caption too
-                            const captionCategories = extractCategories(msg.caption || '');
-                            const allCategories = [...new Set([...categories, ...captionCategories])];
-
-                            await Movie.findOneAndUpdate(
-                                { title },
-                                {
-                                    $setOnInsert: { title, requests: 0 },
-                                    $addToSet: {
-                                        messageIds: msgId,
-                                        files: fileInfo,
-                                        categories: { $each: allCategories }
-                                    }
-                                },
-                                { upsert: true }
-                            );
-                            addedCount++;
-                        }
-
-                        // Update progress every 5 messages
-                        if ((msgId - startMsg.messageId + 1) % 5 === 0 || msgId === endMsg.messageId) {
-                            try {
-                                await ctx.api.editMessageText(
-                                    ctx.chat.id,
-                                    progressMsg.message_id,
-                                    `🔄 <b>Indexing "${title}"...</b>\n\n` +
-                                    `📊 Progress: <b>${msgId - startMsg.messageId + 1}</b> / ${totalMsgs} messages\n` +
-                                    `✅ Added: ${addedCount} files so far`,
-                                    { parse_mode: 'HTML' }
-                                );
-                            } catch (_) { }
-                        }
-                    } catch (e) {
-                        console.log(`Could not get message ${msgId}: ${e.message}`);
-                    }
-                }
+    // ────────────────────────────────────────────────────────────────────
+    // INDEX JOBS - /addmovie range imports running in the background
+    // ────────────────────────────────────────────────────────────────────
+    bot.command('jobs', async (ctx) => {
+        if (!isAdmin(ctx)) return;
 
-                // Save thumbnail if found
-                if (foundThumbnail) {
-                    console.log('Saving thumbnail to MongoDB...');
-                    await Movie.updateOne(
-                        { title, $or: [{ thumbnail: { $exists: false } }, { thumbnail: null }] },
-                        { $set: { thumbnail: foundThumbnail } }
-                    );
-                    console.log('Thumbnail saved!');
-                } else {
-                    console.log('No thumbnail found in any message!');
-                }
+        const active = await IndexJob.find({ status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: 1 }).lean();
+        const recent = await IndexJob.find({ status: { $nin: ACTIVE_STATUSES } }).sort({ createdAt: -1 }).limit(5).lean();
+        if (active.length === 0 && recent.length === 0) {
+            return ctx.reply('📭 No index jobs yet. Start one with /addmovie.');
+        }
 
-                await ctx.api.editMessageText(
-                    ctx.chat.id,
-                    progressMsg.message_id,
-                    `✅ <b>Indexing Complete!</b>\n\n` +
-                    `🎬 <b>${title}</b>\n` +
-                    `📂 Files added: ${addedCount}\n` +
-                    `${categories.length > 0 ? `👤 Categories: ${categories.join(', ')}` : ''}\n\n` +
-                    `🖼️ Thumbnail: ${foundThumbnail ? '✅ Saved' : '❌ Not found'}`,
-                    { parse_mode: 'HTML' }
-                );
+        const line = (job) =>
+            `${STATUS_ICONS[job.status]} <code>${shortId(job)}</code> <b>${escapeHtml(job.title)}</b>\n` +
+            `   ${processedMessages(job)}/${totalMessages(job)} msgs • +${job.added}` +
+            `${job.skipped > 0 ? ` • ${job.skipped} dup` : ''}${job.failed > 0 ? ` • ${job.failed} failed` : ''}\n`;
 
-                // Send to log channel
-                const logChannelId = process.env.LOG_CHANNEL_ID;
-                if (logChannelId) {
-                    try {
-                        await ctx.api.sendMessage(
-                            logChannelId,
-                            `📂 <b>Auto-Index Complete</b>\n\n` +
-                            `🎬 Movie: <b>${title}</b>\n` +
-                            `📂 Files: ${addedCount}\n` +
-                            `🖼️ Thumbnail: ${foundThumbnail ? '✅' : '❌'}\n` +
-                            `${categories.length > 0 ? `👤 Categories: ${categories.join(', ')}` : ''}`,
-                            { parse_mode: 'HTML' }
-                        );
-                    } catch (e) {
-                        console.log('Could not send to log channel:', e.message);
-                    }
-                }
-            } else {
-                ctx.reply(`❌ Start and end links must be from same channel!`);
-            }
-        } catch (error) {
-            console.error('Error adding movie:', error);
-            ctx.reply(`❌ Error: ${error.message}`);
+        let text = `🗂️ <b>INDEX JOBS</b>\n` +
+            `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+        text += active.length > 0 ? active.map(line).join('') : `<i>No active jobs</i>\n`;
+        if (recent.length > 0) {
+            text += `\n<b>Recent:</b>\n` + recent.map(line).join('');
         }
+        text += `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+            `💡 /pausejob id • /resumejob id • /canceljob id`;
+
+        await ctx.reply(text, { parse_mode: 'HTML' });
     });
 
+    // Shared by /pausejob, /resumejob and /canceljob. No id → the only active job, if there is one.
+    const changeJobStatus = async (ctx, from, status, verb) => {
+        if (!isAdmin(ctx)) return;
+
+        const ref = ctx.match.trim();
+        let job;
+        if (ref) {
+            job = await findJob(ref);
+        } else {
+            const candidates = await IndexJob.find({ status: { $in: from } }).limit(2);
+            if (candidates.length > 1) return ctx.reply(`❓ Several jobs match. Use /${verb}job id (see /jobs).`);
+            job = candidates[0];
+        }
+        if (!job) return ctx.reply('❌ Job not found. See /jobs.');
+
+        const updated = await setJobStatus(job, from, status);
+        if (!updated) {
+            return ctx.reply(`❌ Job <code>${shortId(job)}</code> is ${job.status}, can't ${verb} it.`, { parse_mode: 'HTML' });
+        }
+        await ctx.reply(
+            `${STATUS_ICONS[status]} Job <code>${shortId(updated)}</code> (<b>${escapeHtml(updated.title)}</b>) ${status}.` +
+            `${status === 'cancelled' ? `\n\n<i>Clips added so far stay. Remove them with /delmovie if needed.</i>` : ''}`,
+            { parse_mode: 'HTML' }
+        );
+    };
+
+    bot.command('pausejob', (ctx) => changeJobStatus(ctx, ['queued', 'running'], 'paused', 'pause'));
+    bot.command('resumejob', (ctx) => changeJobStatus(ctx, ['paused'], 'queued', 'resume'));
+    bot.command('canceljob', (ctx) => changeJobStatus(ctx, ACTIVE_STATUSES, 'cancelled', 'cancel'));
+
     bot.command('thumb', async (ctx) => {
         if (!isAdmin(ctx)) return;
 
@@ -470,6 +638,7 @@ module.exports = (bot) => {
 
             const title = movie.title;
             await movie.deleteOne();
+            unindexMovie(movie._id);
 
             await ctx.reply(
                 `✅ Deleted: ${title}`,
@@ -536,6 +705,7 @@ module.exports = (bot) => {
             const actualOldName = movie.title;
             movie.title = newName;
             await movie.save();
+            indexMovie(movie);
 
             await ctx.reply(
                 `✅ <b>Filter Renamed!</b>\n\n` +
@@ -0,0 +1,72 @@
+const { Movie } = require('../database');
+const { cleanMovieName, formatMovieTitle } = require('../utils/helpers');
+const { findFilteredResults } = require('../utils/ranking');
+const { parseQueryFilters, hasFilters } = require('../utils/queryFilters');
+const { getMovieStartUrl } = require('../utils/deepLinks');
+const { InlineKeyboard } = require('grammy');
+
+const MAX_INLINE_RESULTS = 20;
+
+// Inline result for one movie: a photo card when it has a thumbnail, else an article
+function buildInlineResult(movie, privateStart) {
+    const keyboard = new InlineKeyboard().url('📥 Get Clips in PM', privateStart);
+    const clipCount = movie.files?.length || movie.messageIds.length;
+
+    const text = `🎬 <b>${formatMovieTitle(movie).toUpperCase()}</b>\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+        `📂 <b>Clips:</b> ${clipCount} Available\n` +
+        `📥 <b>Delivery:</b> Direct PM\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+        `👆 Tap below to get clips!`;
+
+    if (movie.thumbnail) {
+        return {
+            type: 'photo',
+            id: movie._id.toString(),
+            photo_file_id: movie.thumbnail,
+            title: formatMovieTitle(movie),
+            description: `📂 ${clipCount} clips`,
+            caption: text,
+            parse_mode: 'HTML',
+            reply_markup: keyboard
+        };
+    }
+
+    return {
+        type: 'article',
+        id: movie._id.toString(),
+        title: formatMovieTitle(movie),
+        description: `📂 ${clipCount} clips • Tap to share`,
+        input_message_content: { message_text: text, parse_mode: 'HTML' },
+        reply_markup: keyboard
+    };
+}
+
+module.exports = (bot) => {
+    // @bot query → ranked movie results with deep-link buttons, usable in any chat
+    bot.on('inline_query', async (ctx) => {
+        // Same parsing as group search: year:/lang:/quality:/#category come out before cleanMovieName
+        const { text, filters } = parseQueryFilters(ctx.inlineQuery.query);
+        const query = cleanMovieName(text);
+
+        try {
+            let movies;
+            if (query.length < 2 && !hasFilters(filters)) {
+                // Empty query → most requested movies
+                movies = await Movie.find().sort({ requests: -1 }).limit(MAX_INLINE_RESULTS).lean();
+            } else {
+                const results = await findFilteredResults(query, filters);
+                movies = results.slice(0, MAX_INLINE_RESULTS).map(r => r.movie);
+            }
+
+            const inlineResults = [];
+            for (const m of movies.filter(m => m.files?.length || m.messageIds?.length)) {
+                inlineResults.push(buildInlineResult(m, await getMovieStartUrl(ctx, m)));
+            }
+
+            await ctx.answerInlineQuery(inlineResults, { cache_time: 60 });
+        } catch (error) {
+            console.error('Inline query error:', error);
+        }
+    });
+};
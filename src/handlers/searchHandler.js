@@ -1,19 +1,22 @@
-const { Movie, User, PaginationSession } = require('../database');
-const { cleanMovieName, encodeMovieLink, sendToLogChannel } = require('../utils/helpers');
+const { Movie, User, PaginationSession, SearchSession, MovieRequest, Category } = require('../database');
+const { cleanMovieName, formatMovieTitle, sendToLogChannel, escapeHtml } = require('../utils/helpers');
+const { findFilteredResults, isClearWinner, isFuzzyMatch } = require('../utils/ranking');
+const { compactId, expandId, movieCallback, movieCallbackPattern, resolveCallbackMovie } = require('../utils/callbacks');
+const { CATEGORY_TYPES, getCategoryFacets, findCategoryMovieIds } = require('../utils/categories');
+const { logSearch } = require('../utils/searchLog');
+const { getRecommendations } = require('../utils/recommendations');
+const { TRENDING_WINDOWS, recordActivity, getTrending } = require('../utils/trending');
+const { deleteTriggerMessage, scheduleEdit } = require('../utils/scheduler');
+const { getGroup, getGroupLink, recordGroupStat } = require('../utils/groups');
+const { getMovieStartUrl } = require('../utils/deepLinks');
+const { getSearchMode } = require('../utils/monetization');
+const { deliverFromSearch } = require('./deliveryHandler');
+const { parseQueryFilters, hasFilters, matchesFilters, describeFilters } = require('../utils/queryFilters');
 const { InlineKeyboard } = require('grammy');
 
 const ITEMS_PER_PAGE = 30;
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const deleteTriggerMessage = async (ctx, ms = 30 * 60 * 1000) => {
-    await sleep(ms);
-    try {
-        if (ctx.message) {
-            await ctx.api.deleteMessage(ctx.chat.id, ctx.message.message_id);
-        }
-    } catch (_) { }
-};
+const RESULTS_PER_PAGE = 5;
+const CATEGORIES_PER_PAGE = 20;
 
 function getUserMention(ctx) {
     const user = ctx.from;
@@ -30,173 +33,6 @@ function getUserNameForLog(ctx) {
     return `User ${user.id}`;
 }
 
-// Spaceless matching - ignores spaces in query vs title
-function matchesSpaceless(query, title) {
-    const q = query.toLowerCase().replace(/\s+/g, '');
-    const t = title.toLowerCase().replace(/\s+/g, '');
-    if (q.length < 3) return false;
-    if (t.includes(q) || q.includes(t)) return true;
-    return false;
-}
-
-// Token matching - all query words must exist in title
-function matchesTokens(query, title) {
-    const qTokens = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
-    const tLower = title.toLowerCase();
-    return qTokens.length > 0 && qTokens.every(token => tLower.includes(token));
-}
-
-// Keyboard proximity - detects typos from nearby keys
-function keyboardProximity(a, b) {
-    const row1 = 'qwertyuiop';
-    const row2 = 'asdfghjkl';
-    const row3 = 'zxcvbnm';
-    const getRow = (c) => {
-        if (row1.includes(c)) return 1;
-        if (row2.includes(c)) return 2;
-        if (row3.includes(c)) return 3;
-        return 0;
-    };
-
-    if (Math.abs(a.length - b.length) > 2) return 100;
-
-    let score = 0;
-    const minLen = Math.min(a.length, b.length);
-    for (let i = 0; i < minLen; i++) {
-        if (a[i] !== b[i]) {
-            const rowA = getRow(a[i]);
-            const rowB = getRow(b[i]);
-            if (rowA === rowB) score += 0.5;
-            else if (Math.abs(rowA - rowB) === 1) score += 1;
-            else score += 2;
-        }
-    }
-    score += Math.abs(a.length - b.length);
-    return score;
-}
-
-// Soundex - phonetic matching
-function soundex(s) {
-    if (!s || s.length < 2) return '0000';
-    const a = s.toLowerCase().split('');
-    const firstLetter = a[0];
-    const codes = {
-        a: 0, e: 0, i: 0, o: 0, u: 0, h: 0, w: 0, y: 0,
-        b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
-        d: 3, t: 3, l: 4, m: 5, n: 5, r: 6
-    };
-    let result = firstLetter.toUpperCase();
-    let prev = codes[a[0]] || 0;
-    for (let i = 1; i < a.length && result.length < 4; i++) {
-        const code = codes[a[i]];
-        if (code !== undefined && code !== 0 && code !== prev) {
-            result += code;
-            prev = code;
-        }
-    }
-    return (result + '000').slice(0, 4);
-}
-
-// Levenshtein distance for smart typo detection
-function levenshteinDistance(a, b) {
-    const matrix = [];
-    for (let i = 0; i <= b.length; i++) matrix[i] = [i];
-    for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
-    for (let i = 1; i <= b.length; i++) {
-        for (let j = 1; j <= a.length; j++) {
-            if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1,
-                    matrix[i][j - 1] + 1,
-                    matrix[i - 1][j] + 1
-                );
-            }
-        }
-    }
-    return matrix[b.length][a.length];
-}
-
-// Enhanced find similar movies with multiple matching strategies
-async function findSimilarByTypo(query) {
-    // Skip fuzzy for very short queries to avoid junk
-    if (query.length < 3) return [];
-
-    const movies = await Movie.find().lean();
-    const results = [];
-    const q = query.toLowerCase();
-    const qSoundex = soundex(q);
-
-    // Dynamic threshold: stricter for shorter queries
-    const threshold = q.length < 5 ? 1 : 2;
-
-    for (const movie of movies) {
-        const title = movie.title.toLowerCase();
-
-        // 1. Exact title match (skip as handled before)
-        if (title.includes(q)) continue;
-
-        // 2. Spaceless match
-        if (matchesSpaceless(query, movie.title)) {
-            results.push({ movie, score: -2, reason: 'spaceless' });
-            continue;
-        }
-
-        // 3. Token match
-        if (matchesTokens(query, movie.title)) {
-            results.push({ movie, score: -1, reason: 'tokens' });
-            continue;
-        }
-
-        // 4. Category match (STRICTER: word match only)
-        const qRegex = new RegExp(`\\b${q}\\b`, 'i');
-        const exactCategoryMatch = movie.categories?.some(c => qRegex.test(c));
-        if (exactCategoryMatch) {
-            results.push({ movie, score: -0.5, reason: 'category_exact' });
-            continue;
-        }
-
-        // 4b. Category Fuzzy match (Little strict: 1 char mistake, min length 4)
-        if (q.length >= 4) {
-            const hasFuzzyCategory = movie.categories?.some(cat => {
-                const words = cat.toLowerCase().split(/\s+/);
-                return words.some(word => word.length >= 4 && levenshteinDistance(q, word) <= 1);
-            });
-            if (hasFuzzyCategory) {
-                results.push({ movie, score: 0.5, reason: 'category_fuzzy' });
-                continue;
-            }
-        }
-
-        // 5. Soundex match (phonetic)
-        const titleSoundex = soundex(title);
-        if (qSoundex === titleSoundex) {
-            results.push({ movie, score: 1, reason: 'soundex' });
-            continue;
-        }
-
-        // 6. Levenshtein distance
-        const levDistance = levenshteinDistance(q, title);
-        if (levDistance <= threshold) {
-            results.push({ movie, score: levDistance + 2, reason: 'levenshtein' });
-            continue;
-        }
-
-        // 7. Keyboard proximity (only for longer queries)
-        if (q.length >= 5) {
-            const kbScore = keyboardProximity(q, title);
-            if (kbScore <= 2) { // Tightened from 3
-                results.push({ movie, score: kbScore + 4, reason: 'keyboard' });
-            }
-        }
-    }
-
-    // Sort by score (lower is better)
-    results.sort((a, b) => a.score - b.score);
-    return results.slice(0, 5);
-}
-
 // Get user badge based on activity (Moxi community themed)
 function getUserBadge(user) {
     if (user.downloadCount >= 50) return '🔥 MOXI LEGEND';
@@ -246,14 +82,30 @@ async function updateUserStats(userId, type) {
     }
 }
 
-// Find similar movies based on categories
-async function findSimilarMovies(movie, limit = 3) {
-    if (!movie.categories || movie.categories.length === 0) return [];
+// /trending list for one window: a deep-link button per movie plus window switches
+async function buildTrendingMessage(ctx, windowKey) {
+    const { items, isFallback } = await getTrending(windowKey, 5);
+    if (items.length === 0) return null;
+
+    let text = `🔥 <b>TRENDING MOVIES</b> - ${isFallback ? 'ALL TIME' : `LAST ${TRENDING_WINDOWS[windowKey].label}`}\n`;
+    text += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+
+    const keyboard = new InlineKeyboard();
+    for (const [i, { movie, requests, deliveries }] of items.entries()) {
+        const clipCount = movie.files?.length || movie.messageIds.length;
+        text += `${i + 1}. <b>${movie.title}</b> (${requests} requests${deliveries ? `, ${deliveries} downloads` : ''})\n`;
+        text += `   📂 ${clipCount} clips\n\n`;
+        keyboard.url(`${i + 1}. ${movie.title.toUpperCase()}`, await getMovieStartUrl(ctx, movie)).row();
+    }
+
+    for (const key of Object.keys(TRENDING_WINDOWS)) {
+        keyboard.text(key === windowKey ? `• ${key} •` : key, `tr_${key}`);
+    }
 
-    return await Movie.find({
-        _id: { $ne: movie._id },
-        categories: { $in: movie.categories }
-    }).limit(limit);
+    text += `━━━━━━━━━━━━━━━━━━━━\n`;
+    if (isFallback) text += `ℹ️ Not enough recent activity yet - showing all-time favorites.\n`;
+    text += `💡 Tap any movie to get clips in PM!`;
+    return { text, keyboard };
 }
 
 function buildFilterKeyboard(movies, page, total) {
@@ -261,7 +113,7 @@ function buildFilterKeyboard(movies, page, total) {
 
     movies.forEach((m) => {
         const count = m.files?.length || m.messageIds.length;
-        keyboard.text(`▸ ${m.title.toUpperCase()} (${count})`, `f_${m.title}`).row();
+        keyboard.text(`▸ ${m.title.toUpperCase()} (${count})`, movieCallback('filter', m)).row();
     });
 
     const totalPages = Math.ceil(total / ITEMS_PER_PAGE);
@@ -277,26 +129,130 @@ function buildFilterKeyboard(movies, page, total) {
     return keyboard;
 }
 
+// Header for a /filters page, or for one category's movies
+function buildFilterText(total, page, categoryName = null) {
+    return (categoryName ? `🏷️ ${categoryName.toUpperCase()} - Movie Clips\n` : `🎬 Available Movie Clips\n`) +
+        `━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `Tap a movie below to get clips sent to your PM!\n\n` +
+        `📄 Total: ${total} movies\n` +
+        `📑 Page: ${page + 1} of ${Math.ceil(total / ITEMS_PER_PAGE)}\n\n` +
+        `✨ Works in PM only - clips open in your private chat!`;
+}
+
+// One page of /categories: facets grouped under type headings, one button each
+function buildCategoriesPage(facets, page) {
+    const totalPages = Math.max(1, Math.ceil(facets.length / CATEGORIES_PER_PAGE));
+    page = Math.min(Math.max(0, page), totalPages - 1);
+    const pageFacets = facets.slice(page * CATEGORIES_PER_PAGE, (page + 1) * CATEGORIES_PER_PAGE);
+
+    let text = `🗂️ <b>BROWSE BY CATEGORY</b>\n`;
+    text += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    text += `📄 Total: ${facets.length} categories\n`;
+    text += `📑 Page: ${page + 1} of ${totalPages}\n\n`;
+    text += `👇 <b>Tap a category to see its movies:</b>`;
+
+    const keyboard = new InlineKeyboard();
+    CATEGORY_TYPES.forEach(({ type, icon, heading }) => {
+        const typeFacets = pageFacets.filter(f => f.type === type);
+        if (typeFacets.length === 0) return;
+        keyboard.text(`── ${icon} ${heading} ──`, 'ch').row(); // Heading row, tapping does nothing
+        typeFacets.forEach(f => {
+            keyboard.text(`${f.label.toUpperCase()} (${f.count})`, `ct_${compactId(f._id)}`).row();
+        });
+    });
+
+    if (page < totalPages - 1) {
+        keyboard.text('Next ▶', `cp_${page + 1}`).row();
+    }
+    if (page > 0) {
+        keyboard.text('◀ Prev', `cp_${page - 1}`).row();
+    }
+
+    return { text, keyboard };
+}
+
+function buildResultsKeyboard(movies, page, total) {
+    const keyboard = new InlineKeyboard();
+
+    movies.forEach((m) => {
+        const count = m.files?.length || m.messageIds.length;
+        keyboard.text(`▸ ${m.title.toUpperCase()} (${count})⠀`, movieCallback('result', m)).row();
+    });
+
+    const totalPages = Math.ceil(total / RESULTS_PER_PAGE);
+    if (page < totalPages - 1) {
+        keyboard.text('Next ▶', `sr_${page + 1}`).row();
+    }
+    if (page > 0) {
+        keyboard.text('◀ Prev', `sr_${page - 1}`).row();
+    }
+
+    return keyboard;
+}
+
+function buildResultsText(query, movies, page, total, isFuzzy) {
+    const offset = page * RESULTS_PER_PAGE;
+    return (isFuzzy ? `🔍 <b>DID YOU MEAN?</b>\n` : `🔍 <b>SEARCH RESULTS</b>\n`) +
+        `━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `${total} matches for "<code>${query}</code>", best first:\n\n` +
+        `${movies.map((m, i) => `${offset + i + 1}. <b>${formatMovieTitle(m)}</b>`).join('\n')}\n\n` +
+        `📑 Page: ${page + 1} of ${Math.ceil(total / RESULTS_PER_PAGE)}\n` +
+        `👇 <b>Tap a movie to get clips:</b>`;
+}
+
+// Ranked, paginated result list for searches without a clear winner
+async function sendRankedResults(ctx, query, results) {
+    const movies = results.map(r => r.movie);
+    const pageMovies = movies.slice(0, RESULTS_PER_PAGE);
+    const isFuzzy = isFuzzyMatch(results[0]);
+
+    const sent = await ctx.reply(buildResultsText(query, pageMovies, 0, movies.length, isFuzzy), {
+        parse_mode: 'HTML',
+        reply_markup: buildResultsKeyboard(pageMovies, 0, movies.length),
+        reply_parameters: { message_id: ctx.message?.message_id }
+    });
+
+    await SearchSession.create({
+        chatId: String(ctx.chat.id),
+        messageId: sent.message_id,
+        query,
+        isFuzzy,
+        movieIds: movies.map(m => m._id)
+    });
+    return sent;
+}
+
+const languageFilter = (language) => ({ year: null, language, quality: null, categories: [], loose: [] });
+
+// Stable reorder putting a group's catalog language first; other results keep their rank
+function preferLanguage(results, language) {
+    if (!language) return results;
+    const preferred = results.filter(r => matchesFilters(r.movie, languageFilter(language)));
+    return [...preferred, ...results.filter(r => !preferred.includes(r))];
+}
+
 // Helper to send a consistent movie result
 async function sendMovieResult(ctx, movie, bot, isAutoMatched = false, reqUser = null) {
     await Movie.updateOne({ _id: movie._id }, { $inc: { requests: 1 } });
+    recordActivity(movie._id, 'requests'); // Not awaited
     await updateUserStats(ctx.from.id, 'search');
 
     const reqSource = reqUser || ctx.from;
     const reqName = reqSource.first_name || reqSource.username || 'User';
 
-    const botUsername = process.env.BOT_USERNAME || (ctx.me ? ctx.me.username : '');
-    const encodedTitle = encodeMovieLink(movie.title);
-    const privateStart = `https://t.me/${botUsername}?start=${encodedTitle}`;
-    const keyboard = new InlineKeyboard().url('📥 Get Clips in PM', privateStart);
+    const privateStart = await getMovieStartUrl(ctx, movie);
+    const keyboard = new InlineKeyboard()
+        .url('📥 Get Clips in PM', privateStart).row()
+        .text('🔔 Follow new clips', movieCallback('follow', movie))
+        .text('⭐ Favorite', movieCallback('favorite', movie));
 
     const clipCount = movie.files?.length || movie.messageIds.length;
     const photoFileId = movie.thumbnail || null;
 
-    const resultText = (isAutoMatched ? `✨ SMART MATCH FOUND\n` : `✨ ${movie.title.toUpperCase()}\n`) +
+    const resultText = (isAutoMatched ? `✨ SMART MATCH FOUND\n` : `✨ ${formatMovieTitle(movie).toUpperCase()}\n`) +
         `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
         `👤 <b>Requested by:</b> <a href="tg://user?id=${reqSource.id}">${reqName}</a>\n\n` +
-        `${isAutoMatched ? `🎬 <b>Movie:</b> ${movie.title}\n` : ''}` +
+        `${isAutoMatched ? `🎬 <b>Movie:</b> ${formatMovieTitle(movie)}\n` : ''}` +
         `📂 <b>Clips:</b> ${clipCount} Available\n` +
         `📥 <b>Delivery:</b> Direct PM\n` +
         `━━━━━━━━━ ✦ ━━━━━━━━━`;
@@ -318,30 +274,35 @@ async function sendMovieResult(ctx, movie, bot, isAutoMatched = false, reqUser =
     }
 
     // Auto-edit after 5 minutes
-    setTimeout(async () => {
-        try {
-            await ctx.api.editMessageText(
-                ctx.chat.id, sentMsg.message_id,
-                `⏰ <b>LINK EXPIRED</b>\n` +
-                `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
-                `🎬 <b>Movie:</b> ${movie.title}\n\n` +
-                `🔍 <i>Search again to get a fresh link!</i>`,
-                { parse_mode: 'HTML' }
-            );
-        } catch (_) { }
-    }, 5 * 60 * 1000);
+    scheduleEdit(
+        ctx.chat.id, sentMsg.message_id,
+        `⏰ <b>LINK EXPIRED</b>\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+        `🎬 <b>Movie:</b> ${movie.title}\n\n` +
+        `🔍 <i>Search again to get a fresh link!</i>`,
+        { parse_mode: 'HTML' },
+        5 * 60 * 1000
+    );
 
     await sendToLogChannel(bot, `🔍 ${getUserNameForLog(ctx)} | ${movie.title} (${clipCount} clips)`);
     return sentMsg;
 }
 
+// PM search hit: no result card, straight into the delivery flow
+async function deliverPmResult(ctx, movie, bot) {
+    await Movie.updateOne({ _id: movie._id }, { $inc: { requests: 1 } });
+    recordActivity(movie._id, 'requests'); // Not awaited
+    await updateUserStats(ctx.from.id, 'search');
+    await sendToLogChannel(bot, `🔍 PM ${getUserNameForLog(ctx)} | ${movie.title}`);
+    await deliverFromSearch(ctx, bot, movie);
+}
+
 module.exports = (bot) => {
     // Random movie command
     bot.command('random', async (ctx) => {
-        const groupId = process.env.GROUP_ID;
-        const isGroup = groupId && ctx.chat.id.toString() === groupId;
+        const group = getGroup(ctx.chat.id);
 
-        if (!isGroup) {
+        if (!group) {
             const reply = await ctx.reply(
                 `👋 <b>Use /random in the group!</b>\n\n` +
                 `Join our group and type /random to discover movies!`,
@@ -358,13 +319,16 @@ module.exports = (bot) => {
             return;
         }
 
-        const randomMovie = movies[Math.floor(Math.random() * movies.length)];
+        // Pick from the group's language when it has any
+        const inLanguage = group.language ? movies.filter(m => matchesFilters(m, languageFilter(group.language))) : [];
+        const pool = inLanguage.length > 0 ? inLanguage : movies;
+        const randomMovie = pool[Math.floor(Math.random() * pool.length)];
 
         await updateUserStats(ctx.from.id, 'search');
         await Movie.updateOne({ _id: randomMovie._id }, { $inc: { requests: 1 } });
+        recordActivity(randomMovie._id, 'requests'); // Not awaited
 
-        const botUsername = process.env.BOT_USERNAME || (ctx.me ? ctx.me.username : '');
-        const privateStart = `https://t.me/${botUsername}?start=${encodeMovieLink(randomMovie.title)}`;
+        const privateStart = await getMovieStartUrl(ctx, randomMovie);
         const keyboard = new InlineKeyboard().url('📥 Get Clips in PM', privateStart);
 
         const clipCount = randomMovie.files?.length || randomMovie.messageIds.length;
@@ -395,10 +359,7 @@ module.exports = (bot) => {
 
     // Trending movies command
     bot.command('trending', async (ctx) => {
-        const groupId = process.env.GROUP_ID;
-        const isGroup = groupId && ctx.chat.id.toString() === groupId;
-
-        if (!isGroup) {
+        if (!getGroup(ctx.chat.id)) {
             const reply = await ctx.reply(
                 `👋 <b>Use /trending in the group!</b>\n\n` +
                 `Join our group to see what's trending!`,
@@ -408,27 +369,26 @@ module.exports = (bot) => {
             return;
         }
 
-        const topMovies = await Movie.find().sort({ requests: -1 }).limit(5).lean();
+        // /trending [24h|7d|30d], default 24h
+        const arg = ctx.match.trim().toLowerCase();
+        const windowKey = TRENDING_WINDOWS[arg] ? arg : '24h';
 
-        if (topMovies.length === 0) {
+        const trending = await buildTrendingMessage(ctx, windowKey);
+        if (!trending) {
             const reply = await ctx.reply('📭 No movies available yet!');
             deleteTriggerMessage(ctx);
             return;
         }
 
-        let trendingText = `🔥 <b>TRENDING MOVIES</b>\n`;
-        trendingText += `━━━━━━━━━━━━━━━━━━━━\n\n`;
-
-        topMovies.forEach((m, i) => {
-            const clipCount = m.files?.length || m.messageIds.length;
-            trendingText += `${i + 1}. <b>${m.title}</b> (${m.requests} requests)\n`;
-            trendingText += `   📂 ${clipCount} clips\n\n`;
-        });
-
-        trendingText += `━━━━━━━━━━━━━━━━━━━━\n`;
-        trendingText += `💡 Tap any movie to get clips in PM!`;
+        await ctx.reply(trending.text, { parse_mode: 'HTML', reply_markup: trending.keyboard });
+    });
 
-        await ctx.reply(trendingText, { parse_mode: 'HTML' });
+    // Window switch under the /trending list
+    bot.callbackQuery(/^tr_(24h|7d|30d)$/, async (ctx) => {
+        await ctx.answerCallbackQuery();
+        const trending = await buildTrendingMessage(ctx, ctx.match[1]);
+        if (!trending) return;
+        await ctx.editMessageText(trending.text, { parse_mode: 'HTML', reply_markup: trending.keyboard }).catch(() => { });
     });
 
     bot.on('message:text', async (ctx, next) => {
@@ -455,13 +415,18 @@ module.exports = (bot) => {
             }
         }
 
-        const groupId = process.env.GROUP_ID;
-        const isGroup = groupId && ctx.chat.id.toString() === groupId;
+        const group = getGroup(ctx.chat.id);
+        const isGroup = !!group;
+        const isPrivate = ctx.chat.type === 'private';
+
+        // Where title search runs: group (default), pm or both (/setsearchmode)
+        const searchMode = getSearchMode();
+        const pmSearch = isPrivate && searchMode !== 'group';
 
-        // 1. Handle Filter List Command (Group Only)
+        // 1. Handle Filter List Command (Group, or PM when PM search is on)
         if (isFiltersCommand) {
             // If not in group, guide user to group
-            if (!isGroup) {
+            if (!isGroup && !pmSearch) {
                 return ctx.reply(
                     `👋 <b>Hey there!</b>\n\n` +
                     `This bot works in the group - you need to search for movies there!\n\n` +
@@ -469,7 +434,7 @@ module.exports = (bot) => {
                     `1️⃣ Join our group\n` +
                     `2️⃣ Type any movie name\n` +
                     `3️⃣ Get clips in your PM!\n\n` +
-                    `🎬 <b>Group Link:</b> ${process.env.GROUP_LINK || 'Ask admin for the group link'}`,
+                    `🎬 <b>Group Link:</b> ${getGroupLink() || 'Ask admin for the group link'}`,
                     { parse_mode: 'HTML' }
                 );
             }
@@ -494,12 +459,7 @@ module.exports = (bot) => {
             const orderedMovies = shuffledIds.slice(0, ITEMS_PER_PAGE).map(id => pageMovies.find(m => m._id.toString() === id.toString()));
 
             const keyboard = buildFilterKeyboard(orderedMovies, 0, shuffledIds.length);
-            const helpText = `🎬 Available Movie Clips\n` +
-                `━━━━━━━━━━━━━━━━━━━━\n\n` +
-                `Tap a movie below to get clips sent to your PM!\n\n` +
-                `📄 Total: ${shuffledIds.length} movies\n` +
-                `📑 Page: ${1} of ${Math.ceil(shuffledIds.length / ITEMS_PER_PAGE)}\n\n` +
-                `✨ Works in PM only - clips open in your private chat!`;
+            const helpText = buildFilterText(shuffledIds.length, 0);
 
             const sent = await ctx.reply(helpText, {
                 parse_mode: 'HTML',
@@ -512,131 +472,75 @@ module.exports = (bot) => {
                 {
                     movieIds: shuffledIds,
                     page: 0,
-                    lastMessageId: sent.message_id
+                    lastMessageId: sent.message_id,
+                    title: null
                 },
                 { upsert: true, setDefaultsOnInsert: true }
             );
             return;
         }
 
-        // 2. Handle Movie Title Search (ONLY in Group)
-        if (!isGroup) {
+        // 2. Handle Movie Title Search (Group, or PM when PM search is on)
+        if (!isGroup && !pmSearch) {
             // Guide user to type in group
             const reply = await ctx.reply(
                 `👋 <b>Use me in the group!</b>\n\n` +
                 `Search for movies right in the group chat - that's where the magic happens!\n\n` +
                 `📝 <b>Just type a movie name in the group</b> and I'll send clips to your PM.\n\n` +
-                `🎬 <b>Group Link:</b> ${process.env.GROUP_LINK || 'Ask admin for the group link'}`,
+                `🎬 <b>Group Link:</b> ${getGroupLink() || 'Ask admin for the group link'}`,
                 { parse_mode: 'HTML' }
             );
             deleteTriggerMessage(ctx);
             return;
         }
 
+        // Title search switched off for this group (/groupset search off), or PM-only mode
+        if (isGroup && (!group.searchEnabled || searchMode === 'pm')) return;
+
         // Skip old messages in group to prevent flood on restart
         if (ctx.message.date * 1000 < global.botStartedAt) return;
 
-        const query = cleanMovieName(ctx.message.text);
-        if (query.length < 2) return;
+        // Pull year:/lang:/quality:/#category filters out before cleanMovieName strips them
+        const { text, filters } = parseQueryFilters(ctx.message.text);
+        const query = cleanMovieName(text);
+        const isFiltered = hasFilters(filters);
+        if (query.length < 2 && !isFiltered) return;
 
+        const label = [query.length >= 2 ? query : '', describeFilters(filters)].filter(Boolean).join(' ');
         global.todayStats.searches++;
+        recordGroupStat(ctx.chat.id, 'searches');
 
         try {
-            // 1. Exact Match
-            let movie = await Movie.findOne({ title: query });
-
-            let allMoviesLean = null;
-
-            // 2. Spaceless Match
-            if (!movie) {
-                allMoviesLean = await Movie.find().lean();
-                movie = allMoviesLean.find(m => matchesSpaceless(query, m.title));
-            }
-
-            // 3. Token Match
-            if (!movie) {
-                if (!allMoviesLean) allMoviesLean = await Movie.find().lean();
-                movie = allMoviesLean.find(m => matchesTokens(query, m.title));
-            }
-
-            // 4. Smart Matching (Typo/Category)
-            if (!movie) {
-                const similarResults = await findSimilarByTypo(query);
-                if (similarResults.length === 1) {
-                    // Auto-select if only one suggestion
-                    movie = similarResults[0].movie;
+            // One scoring model over exact, prefix, token, spaceless, phonetic, category and popularity signals
+            const startedAt = Date.now();
+            const results = await findFilteredResults(query, filters);
+            let movie = null;
+
+            const outcome = isClearWinner(results) ? 'hit' : results.length > 1 ? 'list' : 'miss';
+            logSearch(ctx, { query: label, results, outcome, latencyMs: Date.now() - startedAt }); // Not awaited
+            if (outcome !== 'list') recordGroupStat(ctx.chat.id, outcome === 'hit' ? 'hits' : 'misses');
+
+            // Auto-pick only a clear winner, otherwise let the user choose from the ranked list
+            if (isClearWinner(results)) {
+                movie = results[0].movie;
+                // Typo guesses get "did you mean" first, in PM too - delivering spends a shortlink, token or room
+                if (isFuzzyMatch(results[0])) {
                     return await sendMovieResult(ctx, movie, bot, true);
-                } else if (similarResults.length > 1) {
-                    // Redesigned "Did you mean" UI
-                    const suggested = similarResults.slice(0, 3);
-                    const keyboard = new InlineKeyboard();
-
-                    suggested.forEach((item) => {
-                        const count = item.movie.files?.length || item.movie.messageIds.length;
-                        keyboard.text(`▸ ${item.movie.title.toUpperCase()} (${count})⠀`, `typo_${item.movie.title}`).row();
-                    });
-                    keyboard.text('✕ NONE OF THESE', 'typo_no');
-
-                    await ctx.reply(
-                        `🔍 <b>DID YOU MEAN?</b>\n` +
-                        `━━━━━━━━━━━━━━━━━━━━\n\n` +
-                        `I couldn't find an exact match for "<code>${query}</code>", but I found these:\n\n` +
-                        `${suggested.map((s, i) => `${i + 1}️⃣ <b>${s.movie.title}</b>`).join('\n')}\n\n` +
-                        `<b>Quick Guide:</b>\n` +
-                        `━━━━━━━━━━━━━━━━━━━━\n` +
-                        `✨ <b>Tap a movie name</b> above if it's what you were looking for!\n` +
-                        `🎥 I'll send the clips straight to your PM.`,
-                        {
-                            parse_mode: 'HTML',
-                            reply_markup: keyboard,
-                            reply_parameters: { message_id: ctx.message.message_id }
-                        }
-                    );
-                    return;
-                }
-            }
-
-            // 5. Final Regex Search (if still nothing)
-            if (!movie) {
-                const fuzzyMovies = await Movie.find({
-                    $or: [
-                        { title: { $regex: query, $options: 'i' } },
-                        { categories: { $regex: `\\b${query}\\b`, $options: 'i' } } // Word boundary for categories
-                    ]
-                }).limit(5).lean();
-
-                if (fuzzyMovies.length === 1) {
-                    movie = fuzzyMovies[0];
-                } else if (fuzzyMovies.length > 1) {
-                    // Strictly vertical buttons
-                    fuzzyMovies.forEach(m => {
-                        const count = m.files?.length || m.messageIds.length;
-                        keyboard.text(`▸ ${m.title.toUpperCase()} (${count})⠀`, `search_${m.title}`).row();
-                    });
-
-                    return await ctx.reply(
-                        `🔍 <b>SEARCH RESULTS</b>\n` +
-                        `━━━━━━━━━━━━━━━━━━━━\n\n` +
-                        `Multiple matches found for "<code>${query}</code>":\n\n` +
-                        `👇 <b>Tap a movie to get clips:</b>`,
-                        {
-                            parse_mode: 'HTML',
-                            reply_markup: keyboard,
-                            reply_parameters: { message_id: ctx.message?.message_id }
-                        }
-                    );
                 }
+                if (pmSearch) return await deliverPmResult(ctx, movie, bot);
+            } else if (results.length > 1) {
+                return await sendRankedResults(ctx, label, preferLanguage(results, group?.language));
             }
 
             // Final delivery if movie was found
             if (movie) {
                 const sentMsg = await sendMovieResult(ctx, movie, bot);
 
-                // Also suggest related movies
-                const similar = await findSimilarMovies(movie, 3);
+                // Also suggest related movies (co-downloads blended with shared categories)
+                const similar = await getRecommendations(movie, 3);
                 if (similar.length > 0) {
                     const suggestKeyboard = new InlineKeyboard();
-                    similar.forEach(m => suggestKeyboard.text(`▸ ${m.title.toUpperCase()}⠀`, `search_${m.title}`).row());
+                    similar.forEach(m => suggestKeyboard.text(`▸ ${m.title.toUpperCase()}⠀`, movieCallback('result', m)).row());
 
                     await ctx.reply(`💡 <b>You might also like:</b>`, {
                         reply_parameters: { message_id: sentMsg.message_id },
@@ -644,33 +548,104 @@ module.exports = (bot) => {
                         parse_mode: 'HTML'
                     });
                 }
-            } else {
-                // Truly not found
+            } else if (isFiltered) {
+                // Nothing passes the filters - a request would be ambiguous, suggest loosening instead
                 await ctx.reply(
                     `😕 <b>NO CLIPS FOUND</b>\n` +
                     `━━━━━━━━━━━━━━━━━━━━\n\n` +
-                    `❌ Could not find: "<code>${query}</code>"\n\n` +
+                    `❌ Nothing matches: "<code>${escapeHtml(label)}</code>"\n\n` +
+                    `💡 <b>Tips:</b>\n` +
+                    `• Remove a filter and try again\n` +
+                    `• Filters: <code>year:2023</code> <code>lang:tamil</code> <code>quality:1080p</code> <code>#actor</code>`,
+                    {
+                        parse_mode: 'HTML',
+                        reply_parameters: { message_id: ctx.message.message_id }
+                    }
+                );
+                await sendToLogChannel(bot, `❌ Miss: ${getUserNameForLog(ctx)} | ${escapeHtml(label)}`);
+            } else {
+                // Truly not found - offer to request it. The request itself is only created on the first tap.
+                const request = await MovieRequest.findOne({ query, status: 'open' }).select('votes').lean();
+                const requestKeyboard = new InlineKeyboard()
+                    .text(`🙋 Request this movie${request?.votes > 0 ? ` (${request.votes})` : ''}`, 'mr');
+
+                const sent = await ctx.reply(
+                    `😕 <b>NO CLIPS FOUND</b>\n` +
+                    `━━━━━━━━━━━━━━━━━━━━\n\n` +
+                    `❌ Could not find: "<code>${escapeHtml(query)}</code>"\n\n` +
                     `💡 <b>Tips:</b>\n` +
                     `• Check your spelling\n` +
                     `• Try a different keyword\n` +
-                    `• Ask admin to add it!`,
+                    `• Tap <b>Request</b> and I'll PM you when it's added!`,
                     {
                         parse_mode: 'HTML',
+                        reply_markup: requestKeyboard,
                         reply_parameters: { message_id: ctx.message.message_id }
                     }
                 );
-                await sendToLogChannel(bot, `❌ Miss: ${getUserNameForLog(ctx)} | ${query}`);
+                await SearchSession.create({ chatId: String(ctx.chat.id), messageId: sent.message_id, query });
+                await sendToLogChannel(bot, `❌ Miss: ${getUserNameForLog(ctx)} | ${escapeHtml(query)}`);
             }
         } catch (error) {
             console.error('Search error:', error);
         }
     });
 
-    // Handle typo suggestion - Yes
-    bot.callbackQuery(/^typo_(.+)$/, async (ctx) => {
-        const movieTitle = ctx.match[1];
+    // Handle "Request this movie" on a search miss. The query comes from the miss's
+    // search session; older buttons still carry the request id (mr_<id>).
+    bot.callbackQuery(/^mr(?:_([a-f0-9]{24}))?$/, async (ctx) => {
+        try {
+            let requestId = ctx.match[1];
+            if (!requestId) {
+                const message = ctx.callbackQuery.message;
+                const session = await SearchSession.findOne({ chatId: String(message?.chat.id), messageId: message?.message_id }).lean();
+                if (!session) {
+                    return await ctx.answerCallbackQuery({ text: '🔍 This search expired. Search again!', show_alert: true });
+                }
+                const open = await MovieRequest.findOneAndUpdate(
+                    { query: session.query, status: 'open' },
+                    { $setOnInsert: { query: session.query } },
+                    { upsert: true, returnDocument: 'after' }
+                );
+                requestId = open._id;
+            }
+
+            const request = await MovieRequest.findOneAndUpdate(
+                { _id: requestId, status: 'open', users: { $ne: ctx.from.id } },
+                { $push: { users: ctx.from.id }, $inc: { votes: 1 } },
+                { returnDocument: 'after' }
+            );
+
+            if (!request) {
+                const existing = await MovieRequest.findById(requestId);
+                if (existing && existing.status === 'open') {
+                    return await ctx.answerCallbackQuery({ text: '👍 You already requested this one!', show_alert: false });
+                }
+                return await ctx.answerCallbackQuery({ text: '✅ This request was already handled. Search again!', show_alert: true });
+            }
+
+            await ctx.answerCallbackQuery({
+                text: `🙋 Requested! I'll PM you when "${request.query.substring(0, 50)}" is added.\n\n💡 Make sure you've started me in PM.`,
+                show_alert: true
+            });
+
+            try {
+                await ctx.editMessageReplyMarkup({
+                    reply_markup: new InlineKeyboard().text(`🙋 Request this movie (${request.votes})`, ctx.match[1] ? `mr_${request._id}` : 'mr')
+                });
+            } catch (_) { }
 
-        if (movieTitle === 'no') {
+            if (request.votes === 1) {
+                await sendToLogChannel(bot, `🙋 <b>New Movie Request</b>\n\n🔍 Query: <code>${escapeHtml(request.query)}</code>\n👤 By: ${getUserNameForLog(ctx)}`);
+            }
+        } catch (error) {
+            console.error('Movie request error:', error);
+        }
+    });
+
+    // Handle typo suggestion - Yes
+    bot.callbackQuery(movieCallbackPattern('typo'), async (ctx) => {
+        if (ctx.match[1] === 'no') {
             await ctx.answerCallbackQuery();
             await ctx.editMessageText(
                 `❌ <b>Clips not found</b>\n\n` +
@@ -681,15 +656,20 @@ module.exports = (bot) => {
         }
 
         try {
-            const movie = await Movie.findOne({ title: movieTitle });
+            const movie = await resolveCallbackMovie(ctx.match[1]);
             if (movie) {
                 movie.requests += 1;
                 await movie.save();
+                recordActivity(movie._id, 'requests'); // Not awaited
 
                 await updateUserStats(ctx.from.id, 'search');
 
-                const botUsername = process.env.BOT_USERNAME || (ctx.me ? ctx.me.username : '');
-                const privateStart = `https://t.me/${botUsername}?start=${encodeMovieLink(movie.title)}`;
+                if (ctx.chat?.type === 'private') {
+                    await ctx.answerCallbackQuery({ text: '✅ Found it!', show_alert: false });
+                    return await deliverFromSearch(ctx, bot, movie);
+                }
+
+                const privateStart = await getMovieStartUrl(ctx, movie);
                 const keyboard = new InlineKeyboard().url('📥 Tap to Get Clips in PM', privateStart);
 
                 await ctx.answerCallbackQuery({ text: '✅ Found it!', show_alert: false });
@@ -697,7 +677,7 @@ module.exports = (bot) => {
                 const clipCount = movie.files?.length || movie.messageIds.length;
                 const photoFileId = movie.thumbnail || null;
 
-                const resultText = `✨ ${movie.title.toUpperCase()}\n` +
+                const resultText = `✨ ${formatMovieTitle(movie).toUpperCase()}\n` +
                     `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                     `📂 <b>Total Clips:</b> ${clipCount} Available\n` +
                     `📥 <b>Delivery:</b> Direct PM\n` +
@@ -718,25 +698,25 @@ module.exports = (bot) => {
     });
 
     // Handle filter list movie selection
-    bot.callbackQuery(/^f_(.+)$/, async (ctx) => {
-        const movieTitle = ctx.match[1];
+    bot.callbackQuery(movieCallbackPattern('filter'), async (ctx) => {
         try {
-            const movie = await Movie.findOne({ title: movieTitle });
+            const movie = await resolveCallbackMovie(ctx.match[1]);
             if (!movie) return await ctx.answerCallbackQuery({ text: '❌ Movie not found', show_alert: true });
 
             movie.requests += 1;
             await movie.save();
+            recordActivity(movie._id, 'requests'); // Not awaited
             await updateUserStats(ctx.from.id, 'search');
             await ctx.answerCallbackQuery({ text: '✅ Sending clips...', show_alert: false });
+            if (ctx.chat?.type === 'private') return await deliverFromSearch(ctx, bot, movie);
 
-            const botUsername = process.env.BOT_USERNAME || (ctx.me ? ctx.me.username : '');
-            const privateStart = `https://t.me/${botUsername}?start=${encodeMovieLink(movie.title)}`;
+            const privateStart = await getMovieStartUrl(ctx, movie);
             const keyboard = new InlineKeyboard().url('📥 Tap to Get Clips in PM', privateStart);
 
             const clipCount = movie.files?.length || movie.messageIds.length;
             const photoFileId = movie.thumbnail || null;
 
-            const resultText = `✨ ${movie.title.toUpperCase()}\n` +
+            const resultText = `✨ ${formatMovieTitle(movie).toUpperCase()}\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                 `📂 <b>Total Clips:</b> ${clipCount} Available\n` +
                 `📥 <b>Delivery:</b> Direct PM\n` +
@@ -754,25 +734,25 @@ module.exports = (bot) => {
     });
 
     // Handle search results (search_)
-    bot.callbackQuery(/^search_(.+)$/, async (ctx) => {
-        const movieTitle = ctx.match[1];
+    bot.callbackQuery(movieCallbackPattern('result'), async (ctx) => {
         try {
-            const movie = await Movie.findOne({ title: movieTitle });
+            const movie = await resolveCallbackMovie(ctx.match[1]);
             if (!movie) return await ctx.answerCallbackQuery({ text: '❌ Movie not found', show_alert: true });
 
             movie.requests += 1;
             await movie.save();
+            recordActivity(movie._id, 'requests'); // Not awaited
             await updateUserStats(ctx.from.id, 'search');
             await ctx.answerCallbackQuery({ text: '✅ Sending clips...', show_alert: false });
+            if (ctx.chat?.type === 'private') return await deliverFromSearch(ctx, bot, movie);
 
-            const botUsername = process.env.BOT_USERNAME || (ctx.me ? ctx.me.username : '');
-            const privateStart = `https://t.me/${botUsername}?start=${encodeMovieLink(movie.title)}`;
+            const privateStart = await getMovieStartUrl(ctx, movie);
             const keyboard = new InlineKeyboard().url('📥 Tap to Get Clips in PM', privateStart);
 
             const clipCount = movie.files?.length || movie.messageIds.length;
             const photoFileId = movie.thumbnail || null;
 
-            const resultText = `✨ ${movie.title.toUpperCase()}\n` +
+            const resultText = `✨ ${formatMovieTitle(movie).toUpperCase()}\n` +
                 `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
                 `📂 <b>Total Clips:</b> ${clipCount} Available\n` +
                 `📥 <b>Delivery:</b> Direct PM\n` +
@@ -789,6 +769,40 @@ module.exports = (bot) => {
         }
     });
 
+    // Handle ranked search result pagination
+    bot.callbackQuery(/^sr_(\d+)$/, async (ctx) => {
+        const page = parseInt(ctx.match[1]);
+        try {
+            const message = ctx.callbackQuery.message;
+            const session = await SearchSession.findOne({ chatId: String(message?.chat.id), messageId: message?.message_id });
+            if (!session) {
+                return await ctx.answerCallbackQuery({
+                    text: '🔍 These results expired. Search again!',
+                    show_alert: true
+                });
+            }
+
+            const pageIds = session.movieIds.slice(page * RESULTS_PER_PAGE, (page + 1) * RESULTS_PER_PAGE);
+            const pageMovies = await Movie.find({ _id: { $in: pageIds } }).lean();
+            // Preserve rank order, skip movies deleted since the search
+            const orderedMovies = pageIds
+                .map(id => pageMovies.find(m => m._id.equals(id)))
+                .filter(Boolean);
+
+            await ctx.answerCallbackQuery();
+            await ctx.editMessageText(buildResultsText(session.query, orderedMovies, page, session.movieIds.length, session.isFuzzy), {
+                parse_mode: 'HTML',
+                reply_markup: buildResultsKeyboard(orderedMovies, page, session.movieIds.length)
+            });
+
+            session.page = page;
+            await session.save();
+        } catch (error) {
+            console.error('Search pagination error:', error);
+            await ctx.answerCallbackQuery({ text: '❌ Navigation error', show_alert: true });
+        }
+    });
+
     // Handle filter list pagination (with DB persistence)
     bot.callbackQuery(/^fp_(\d+)$/, async (ctx) => {
         const page = parseInt(ctx.match[1]);
@@ -812,12 +826,7 @@ module.exports = (bot) => {
 
             const keyboard = buildFilterKeyboard(orderedMovies, page, session.movieIds.length);
 
-            const helpText = `🎬 Available Movie Clips\n` +
-                `━━━━━━━━━━━━━━━━━━━━\n\n` +
-                `Tap a movie below to get clips sent to your PM!\n\n` +
-                `📄 Total: ${session.movieIds.length} movies\n` +
-                `📑 Page: ${page + 1} of ${Math.ceil(session.movieIds.length / ITEMS_PER_PAGE)}\n\n` +
-                `✨ Works in PM only - clips open in your private chat!`;
+            const helpText = buildFilterText(session.movieIds.length, page, session.title);
 
             await ctx.answerCallbackQuery();
             await ctx.editMessageText(helpText, {
@@ -832,4 +841,85 @@ module.exports = (bot) => {
             await ctx.answerCallbackQuery({ text: '❌ Navigation error', show_alert: true });
         }
     });
+
+    // Category browser (group and PM)
+    bot.command('categories', async (ctx) => {
+        try {
+            const facets = await getCategoryFacets();
+            if (facets.length === 0) {
+                return await ctx.reply('📭 No categories yet!', { reply_parameters: { message_id: ctx.message.message_id } });
+            }
+
+            const { text, keyboard } = buildCategoriesPage(facets, 0);
+            await ctx.reply(text, {
+                parse_mode: 'HTML',
+                reply_markup: keyboard,
+                reply_parameters: { message_id: ctx.message.message_id }
+            });
+        } catch (error) {
+            console.error('Categories error:', error);
+        }
+    });
+
+    // Handle category list pagination
+    bot.callbackQuery(/^cp_(\d+)$/, async (ctx) => {
+        try {
+            const facets = await getCategoryFacets();
+            const { text, keyboard } = buildCategoriesPage(facets, parseInt(ctx.match[1]));
+            await ctx.answerCallbackQuery();
+            await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Category pagination error:', error);
+            await ctx.answerCallbackQuery({ text: '❌ Navigation error', show_alert: true });
+        }
+    });
+
+    // Type heading rows in /categories are labels only
+    bot.callbackQuery('ch', (ctx) => ctx.answerCallbackQuery());
+
+    // Category tapped → its movies, paged by the same fp_ handler as /filters
+    bot.callbackQuery(/^ct_(.+)$/, async (ctx) => {
+        try {
+            const id = expandId(ctx.match[1]);
+            const category = id && await Category.findById(id).lean();
+            const movieIds = category ? await findCategoryMovieIds(category) : [];
+            if (movieIds.length === 0) {
+                return await ctx.answerCallbackQuery({ text: '📭 No movies in this category anymore', show_alert: true });
+            }
+
+            const chatIdStr = String(ctx.callbackQuery.message.chat.id);
+            const messageId = ctx.callbackQuery.message.message_id;
+
+            // Singleton Clean-Up (Delete old list in same chat)
+            const existingSession = await PaginationSession.findOne({ chatId: chatIdStr });
+            if (existingSession && existingSession.lastMessageId && existingSession.lastMessageId !== messageId) {
+                try {
+                    await ctx.api.deleteMessage(chatIdStr, existingSession.lastMessageId);
+                } catch (_) { }
+            }
+
+            const pageIds = movieIds.slice(0, ITEMS_PER_PAGE);
+            const pageMovies = await Movie.find({ _id: { $in: pageIds } }).lean();
+            const orderedMovies = pageIds.map(mid => pageMovies.find(m => m._id.equals(mid))).filter(Boolean);
+
+            await ctx.answerCallbackQuery();
+            await ctx.editMessageText(buildFilterText(movieIds.length, 0, category.label), {
+                parse_mode: 'HTML',
+                reply_markup: buildFilterKeyboard(orderedMovies, 0, movieIds.length)
+            });
+
+            await PaginationSession.findOneAndUpdate(
+                { chatId: chatIdStr },
+                {
+                    movieIds,
+                    page: 0,
+                    lastMessageId: messageId,
+                    title: category.label
+                },
+                { upsert: true, setDefaultsOnInsert: true }
+            );
+        } catch (error) {
+            console.error('Category callback error:', error);
+        }
+    });
 };
@@ -0,0 +1,59 @@
+const { Movie } = require('../database');
+const { decodeMovieLink } = require('./helpers');
+
+// ────────────────────────────────────────────────────────────────────
+// Movie callback codec
+// Telegram caps callback_data at 64 bytes, so buttons never carry a
+// title: "<prefix>_<compact id>", where the compact id is the 12 ObjectId
+// bytes in base64url (16 chars). Buttons sent before the codec carried
+// the title itself and still resolve through the fallback below.
+// ────────────────────────────────────────────────────────────────────
+const MOVIE_ACTIONS = {
+    filter: 'f',        // /filters list entry
+    result: 'search',   // Ranked results and "You might also like"
+    typo: 'typo',       // "Did you mean?" confirmation
+    top: 'top',         // /top list entry
+    follow: 'fw',       // Follow toggle on the search result card
+    favorite: 'fav',    // Star toggle on the search result and delivery cards
+    unfavorite: 'ufav', // Remove button in /favorites
+    forceSub: 'fs'      // "I've joined" after the force-sub prompt
+};
+
+const COMPACT_ID = /^[A-Za-z0-9_-]{16}$/;
+const HEX_ID = /^[a-f0-9]{24}$/;
+
+const compactId = (id) => Buffer.from(id.toString(), 'hex').toString('base64url');
+
+const expandId = (code) => {
+    if (HEX_ID.test(code)) return code;
+    if (COMPACT_ID.test(code)) return Buffer.from(code, 'base64url').toString('hex');
+    return null;
+};
+
+// callback_data for a movie button: movieCallback('filter', movie) → "f_ZQx1..."
+const movieCallback = (action, movie) => `${MOVIE_ACTIONS[action]}_${compactId(movie._id || movie)}`;
+
+// Pattern for bot.callbackQuery; ctx.match[1] is the encoded movie
+const movieCallbackPattern = (action) => new RegExp(`^${MOVIE_ACTIONS[action]}_(.+)$`);
+
+// Movie behind a callback payload, or null. Legacy payloads are the title
+// (base64url-encoded for force-sub buttons).
+async function resolveCallbackMovie(payload, action = null) {
+    const id = expandId(payload);
+    if (id) {
+        const movie = await Movie.findById(id);
+        if (movie) return movie;
+    }
+
+    const title = action === 'forceSub' ? decodeMovieLink(payload) : payload;
+    if (!title) return null;
+    return await Movie.findOne({ title }) || await Movie.findOne({ aliases: title });
+}
+
+module.exports = {
+    compactId,
+    expandId,
+    movieCallback,
+    movieCallbackPattern,
+    resolveCallbackMovie
+};
@@ -0,0 +1,95 @@
+const { cleanMovieName } = require('./helpers');
+const { parseQueryFilters } = require('./queryFilters');
+
+// ────────────────────────────────────────────────────────────────────
+// Channel post parsing
+// Files, categories, aliases and titles read from DB channel posts, for
+// auto-indexing and /addmovie range imports alike.
+// ────────────────────────────────────────────────────────────────────
+
+// Extract file info from a Telegram message object
+function extractFileInfo(msg) {
+    const info = (file, fileType) => ({
+        fileId: file.file_id,
+        fileUniqueId: file.file_unique_id,
+        fileType,
+        fileSize: file.file_size || 0,
+        duration: file.duration || 0,
+        caption: msg.caption || ''
+    });
+
+    if (msg.video) return info(msg.video, 'video');
+    if (msg.photo) return info(msg.photo[msg.photo.length - 1], 'photo'); // largest resolution
+    if (msg.document) return info(msg.document, 'document');
+    if (msg.audio) return info(msg.audio, 'audio');
+    return null;
+}
+
+// Extract categories from caption with their type (hashtags are genres/tags)
+function extractTypedCategories(caption) {
+    if (!caption) return [];
+
+    const categories = [];
+
+    // Extract hashtags: #Rajinikanth
+    const hashtags = caption.match(/#[\w]+/g);
+    if (hashtags) {
+        hashtags.forEach(tag => {
+            categories.push({ name: tag.replace('#', '').trim(), type: 'genre' });
+        });
+    }
+
+    // Extract format: (Hero: Rajinikanth, Heroine: Lakshmi)
+    const heroMatch = caption.match(/hero[:\s]+([A-Za-z0-9]+)/i);
+    if (heroMatch) categories.push({ name: heroMatch[1].trim(), type: 'actor' });
+
+    const heroineMatch = caption.match(/heroine[:\s]+([A-Za-z0-9]+)/i);
+    if (heroineMatch) categories.push({ name: heroineMatch[1].trim(), type: 'actor' });
+
+    const directorMatch = caption.match(/director[:\s]+([A-Za-z0-9]+)/i);
+    if (directorMatch) categories.push({ name: directorMatch[1].trim(), type: 'director' });
+
+    return categories;
+}
+
+// Extract categories from caption (supports hashtags and manual format)
+function extractCategories(caption) {
+    return [...new Set(extractTypedCategories(caption).map(c => c.name))]; // Remove duplicates
+}
+
+// Extract alternate titles from caption: "aka: Vikram 2022, விக்ரம்"
+function extractAliases(caption) {
+    if (!caption) return [];
+
+    const akaMatch = caption.match(/\baka\s*:\s*([^\n#]+)/i);
+    if (!akaMatch) return [];
+
+    const aliases = akaMatch[1].split(',').map(a => cleanMovieName(a)).filter(a => a.length > 0);
+    return [...new Set(aliases)];
+}
+
+// Title from "#title Leo (2023)" anywhere in the caption, else from its first line.
+// The #title line is removed from the returned caption so it doesn't become a category.
+function extractCaptionTitle(caption) {
+    if (!caption) return { title: '', caption: '' };
+
+    const toTitle = (text) => cleanMovieName(parseQueryFilters(
+        text.replace(/\baka\s*:.*$/i, '').replace(/\(\d{4}\)/g, '')
+    ).text);
+
+    const tagMatch = caption.match(/^[ \t]*#title\b[:\s]*(.+)$/im);
+    if (tagMatch) {
+        return { title: toTitle(tagMatch[1]), caption: caption.replace(tagMatch[0], '').trim() };
+    }
+
+    const firstLine = caption.split('\n').find(line => line.trim()) || '';
+    return { title: toTitle(firstLine), caption };
+}
+
+module.exports = {
+    extractFileInfo,
+    extractTypedCategories,
+    extractCategories,
+    extractAliases,
+    extractCaptionTitle
+};
@@ -0,0 +1,250 @@
+const { Movie, Category } = require('../database');
+const { cleanMovieName } = require('./helpers');
+const { CATEGORY_TYPES, recordCategories } = require('./categories');
+const { refreshMovie } = require('./searchIndex');
+const { fileKey } = require('./dedupe');
+
+// ────────────────────────────────────────────────────────────────────
+// Catalog export / import
+// /export writes every movie as JSON (complete, importable) and CSV (one
+// row per movie, for reviewing in a spreadsheet). /import reads the JSON
+// back, validates it and upserts by title. It always reports first and
+// only writes when confirmed. Legacy messageIds are left out: they point
+// into the exporting bot's DB channel and mean nothing anywhere else.
+// ────────────────────────────────────────────────────────────────────
+const EXPORT_VERSION = 1;
+const FILE_TYPES = ['video', 'photo', 'document', 'audio', 'animation'];
+const IMPORT_MODES = ['merge', 'skip', 'overwrite'];
+const CSV_COLUMNS = ['title', 'aliases', 'native_title', 'categories', 'year', 'language', 'quality', 'requests', 'clips', 'thumbnail'];
+
+const csvCell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// { json, csv, count } - both as Buffers ready to send as documents
+async function exportCatalog() {
+    const movies = await Movie.find().sort({ title: 1 }).lean();
+    const categoryTypes = await Category.find().select('label type').lean();
+
+    const exported = movies.map(m => ({
+        title: m.title,
+        aliases: m.aliases || [],
+        nativeTitle: m.nativeTitle || null,
+        categories: m.categories || [],
+        year: m.year ?? null,
+        language: m.language || null,
+        quality: m.quality || null,
+        thumbnail: m.thumbnail || null,
+        requests: m.requests || 0,
+        files: (m.files || []).map(({ _id, ...file }) => file)
+    }));
+
+    const json = JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        categoryTypes: categoryTypes.map(c => ({ label: c.label, type: c.type })),
+        movies: exported
+    }, null, 1);
+
+    const rows = exported.map(m => [
+        m.title, m.aliases.join('; '), m.nativeTitle, m.categories.join('; '), m.year,
+        m.language, m.quality, m.requests, m.files.length, m.thumbnail
+    ].map(csvCell).join(','));
+    const csv = '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\n'); // BOM so spreadsheets read Tamil/Hindi titles
+
+    return { json: Buffer.from(json, 'utf-8'), csv: Buffer.from(csv, 'utf-8'), count: exported.length };
+}
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()) : []);
+const optionalString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// One exported movie → a clean movie object, or { error }
+function validateMovie(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'not an object' };
+    const title = cleanMovieName(typeof raw.title === 'string' ? raw.title : '');
+    if (!title) return { error: 'missing title' };
+
+    const files = [];
+    let badFiles = 0;
+    for (const file of Array.isArray(raw.files) ? raw.files : []) {
+        if (!file || typeof file.fileId !== 'string' || !FILE_TYPES.includes(file.fileType)) {
+            badFiles++;
+            continue;
+        }
+        files.push({
+            fileId: file.fileId,
+            fileUniqueId: optionalString(file.fileUniqueId),
+            fileType: file.fileType,
+            fileSize: Number(file.fileSize) || 0,
+            duration: Number(file.duration) || 0,
+            caption: typeof file.caption === 'string' ? file.caption : '',
+            sourceChatId: optionalString(file.sourceChatId),
+            sourceMessageId: Number.isInteger(file.sourceMessageId) ? file.sourceMessageId : null
+        });
+    }
+
+    const year = Number(raw.year);
+    return {
+        movie: {
+            title,
+            aliases: [...new Set(stringList(raw.aliases).map(cleanMovieName).filter(a => a && a !== title))],
+            nativeTitle: optionalString(raw.nativeTitle),
+            categories: [...new Set(stringList(raw.categories))],
+            year: Number.isInteger(year) && year > 1800 ? year : null,
+            language: optionalString(raw.language),
+            quality: optionalString(raw.quality),
+            thumbnail: optionalString(raw.thumbnail),
+            requests: Math.max(0, parseInt(raw.requests) || 0),
+            files
+        },
+        badFiles
+    };
+}
+
+// Parse an export file. Throws with a readable message if it isn't one.
+function parseExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (_) {
+        throw new Error('Not a JSON export. CSV exports are for review only - import the .json file.');
+    }
+    const movies = Array.isArray(data) ? data : data?.movies;
+    if (!Array.isArray(movies)) throw new Error('No "movies" list in this file.');
+    return { movies, categoryTypes: Array.isArray(data.categoryTypes) ? data.categoryTypes : [] };
+}
+
+// Existing movie + imported movie under `mode`: the $set to apply, or null for no change
+function resolveConflict(existing, incoming, mode, foreignKeys) {
+    if (mode === 'skip') return null;
+
+    // A clip may live in one movie only (see dedupe.js)
+    const ownFiles = incoming.files.filter(f => !foreignKeys.has(fileKey(f)));
+
+    if (mode === 'overwrite') {
+        return { ...incoming, files: ownFiles };
+    }
+
+    // merge: lists are unioned, empty fields filled, request counts keep the higher one
+    const keys = new Set((existing.files || []).map(fileKey));
+    const newFiles = ownFiles.filter(f => !keys.has(fileKey(f)));
+    const union = (a, b) => [...new Set([...(a || []), ...b])];
+    const merged = {
+        aliases: union(existing.aliases, incoming.aliases),
+        categories: union(existing.categories, incoming.categories),
+        files: [...(existing.files || []), ...newFiles],
+        requests: Math.max(existing.requests || 0, incoming.requests)
+    };
+    for (const field of ['nativeTitle', 'year', 'language', 'quality', 'thumbnail']) {
+        if (existing[field] == null && incoming[field] != null) merged[field] = incoming[field];
+    }
+    return merged;
+}
+
+// Plan (and with apply, run) an import. Returns a summary:
+// { total, invalid: [{ index, title, error }], created, updated, skipped, unchanged,
+//   filesAdded, duplicateFiles, badFiles, conflicts: [title] }
+async function importCatalog(text, { mode = 'merge', apply = false } = {}) {
+    const { movies: rawMovies, categoryTypes } = parseExport(text);
+
+    const summary = {
+        total: rawMovies.length, invalid: [], created: 0, updated: 0, skipped: 0, unchanged: 0,
+        filesAdded: 0, duplicateFiles: 0, badFiles: 0, conflicts: []
+    };
+
+    // Validate, and drop repeated titles within the file
+    const incoming = new Map();
+    rawMovies.forEach((raw, index) => {
+        const { movie, error, badFiles } = validateMovie(raw);
+        if (error) return summary.invalid.push({ index: index + 1, title: raw?.title || '', error });
+        if (incoming.has(movie.title)) return summary.invalid.push({ index: index + 1, title: movie.title, error: 'title repeated in file' });
+        summary.badFiles += badFiles;
+        incoming.set(movie.title, movie);
+    });
+
+    const existingMovies = await Movie.find({ title: { $in: [...incoming.keys()] } }).lean();
+    const existingByTitle = new Map(existingMovies.map(m => [m.title, m]));
+
+    // Clips that other movies in the catalog already hold
+    const importKeys = [...incoming.values()].flatMap(m => m.files);
+    const owners = await Movie.find({
+        $or: [
+            { 'files.fileUniqueId': { $in: importKeys.map(f => f.fileUniqueId).filter(Boolean) } },
+            { 'files.fileId': { $in: importKeys.map(f => f.fileId) } }
+        ]
+    }).select('title files.fileId files.fileUniqueId').lean();
+    const ownerByKey = new Map();
+    owners.forEach(m => m.files.forEach(f => {
+        ownerByKey.set(fileKey(f), m.title);
+        ownerByKey.set(`f:${f.fileId}`, m.title); // Also by file_id, for imports without unique ids
+    }));
+
+    // ...and clips claimed by an earlier movie in this same file
+    const claimed = new Map();
+
+    for (const movie of incoming.values()) {
+        const foreignKeys = new Set();
+        for (const file of movie.files) {
+            const owner = ownerByKey.get(fileKey(file)) || ownerByKey.get(`f:${file.fileId}`) || claimed.get(fileKey(file));
+            if (owner && owner !== movie.title) foreignKeys.add(fileKey(file));
+            else claimed.set(fileKey(file), movie.title);
+        }
+
+        const existing = existingByTitle.get(movie.title);
+        if (!existing) {
+            const files = movie.files.filter(f => !foreignKeys.has(fileKey(f)));
+            summary.duplicateFiles += movie.files.length - files.length;
+            if (files.length === 0) {
+                summary.invalid.push({ index: null, title: movie.title, error: 'no clips left after removing duplicates' });
+                continue;
+            }
+            summary.created++;
+            summary.filesAdded += files.length;
+            if (apply) {
+                const created = await Movie.create({ ...movie, files });
+                await refreshMovie({ _id: created._id });
+            }
+            continue;
+        }
+
+        summary.conflicts.push(movie.title);
+        const update = resolveConflict(existing, movie, mode, foreignKeys);
+        if (!update) {
+            summary.skipped++;
+            continue;
+        }
+
+        summary.duplicateFiles += movie.files.filter(f => foreignKeys.has(fileKey(f))).length;
+        const existingKeys = new Set((existing.files || []).map(fileKey));
+        summary.filesAdded += update.files.filter(f => !existingKeys.has(fileKey(f))).length;
+
+        const changed = Object.entries(update).some(([field, value]) => JSON.stringify(value) !== JSON.stringify(existing[field] ?? null));
+        if (!changed) {
+            summary.unchanged++;
+            continue;
+        }
+        summary.updated++;
+        if (apply) {
+            await Movie.updateOne({ _id: existing._id }, { $set: update });
+            await refreshMovie({ _id: existing._id });
+        }
+    }
+
+    if (apply) {
+        // Known types first, then any category the file only used as a hashtag
+        const knownTypes = CATEGORY_TYPES.map(t => t.type);
+        const typed = categoryTypes
+            .filter(c => typeof c?.label === 'string' && knownTypes.includes(c?.type))
+            .map(c => ({ name: c.label, type: c.type }));
+        const categories = [...incoming.values()].flatMap(m => m.categories).map(name => ({ name, type: 'genre' }));
+        await recordCategories([...typed, ...categories]);
+    }
+    return summary;
+}
+
+module.exports = {
+    IMPORT_MODES,
+    exportCatalog,
+    importCatalog
+};
@@ -0,0 +1,76 @@
+const { Movie, Category } = require('../database');
+
+// Display order and headings for /categories
+const CATEGORY_TYPES = [
+    { type: 'actor', icon: '🎭', heading: 'ACTORS' },
+    { type: 'director', icon: '🎬', heading: 'DIRECTORS' },
+    { type: 'genre', icon: '🏷️', heading: 'GENRES & TAGS' }
+];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Remember how categories were tagged. hero:/heroine:/director: always set the
+// type; plain hashtags only create a "genre" entry if nothing is known yet.
+async function recordCategories(typed) {
+    if (!typed || typed.length === 0) return;
+
+    const ops = typed.map(({ name, type }) => ({
+        updateOne: {
+            filter: { key: name.toLowerCase() },
+            update: type === 'genre'
+                ? { $setOnInsert: { label: name, type } }
+                : { $set: { type }, $setOnInsert: { label: name } },
+            upsert: true
+        }
+    }));
+    await Category.bulkWrite(ops, { ordered: false });
+}
+
+// Movie count per category, keyed by lowercase name
+const countCategories = () => Movie.aggregate([
+    { $unwind: '$categories' },
+    { $group: { _id: { $toLower: '$categories' }, label: { $first: '$categories' }, count: { $sum: 1 } } }
+]);
+
+// Give categories tagged before types were tracked a Category entry (as genres).
+// Runs once at startup; indexing and /addcategory record new ones as they come.
+async function backfillCategories() {
+    const counts = await countCategories();
+    await recordCategories(counts.map(c => ({ name: c.label, type: 'genre' })));
+    console.log(`🗂️ Category types checked: ${counts.length} categories`);
+}
+
+// Every category in the catalog with its movie count, grouped by type and
+// sorted by count
+async function getCategoryFacets() {
+    const counts = await countCategories();
+    if (counts.length === 0) return [];
+
+    const categories = await Category.find({ key: { $in: counts.map(c => c._id) } }).lean();
+
+    const typeOrder = CATEGORY_TYPES.map(t => t.type);
+    return counts
+        .map(c => {
+            const category = categories.find(cat => cat.key === c._id);
+            return category && { _id: category._id, label: category.label, type: category.type, count: c.count };
+        })
+        .filter(Boolean)
+        .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// Movie ids in one category, most requested first
+async function findCategoryMovieIds(category) {
+    const movies = await Movie.find({ categories: new RegExp(`^${escapeRegex(category.key)}$`, 'i') })
+        .sort({ requests: -1 })
+        .select('_id')
+        .lean();
+    return movies.map(m => m._id);
+}
+
+module.exports = {
+    CATEGORY_TYPES,
+    recordCategories,
+    backfillCategories,
+    getCategoryFacets,
+    findCategoryMovieIds
+};
@@ -0,0 +1,124 @@
+const { Movie } = require('../database');
+const { sleep } = require('./helpers');
+const { unindexMovie } = require('./searchIndex');
+
+// ────────────────────────────────────────────────────────────────────
+// Duplicate clips
+// A clip forwarded twice gets a new file_id each time, but the same
+// file_unique_id. That id is the dedupe key across the whole catalog:
+// indexing skips a file some movie already has, and /dedupe cleans up
+// what was indexed before files carried it.
+// ────────────────────────────────────────────────────────────────────
+const BACKFILL_DELAY_MS = 100; // Between getFile calls, to stay clear of flood limits
+
+// Key for a stored file. Older files without a unique id only match on identical file_id.
+const fileKey = (file) => (file.fileUniqueId ? `u:${file.fileUniqueId}` : `f:${file.fileId}`);
+
+// Title of the movie that already has this file, or null
+async function findFileOwner(fileInfo) {
+    const query = fileInfo.fileUniqueId
+        ? { 'files.fileUniqueId': fileInfo.fileUniqueId }
+        : { 'files.fileId': fileInfo.fileId };
+    const owner = await Movie.findOne(query).select('title').lean();
+    return owner ? owner.title : null;
+}
+
+// Look up unique id and size for files indexed before they were stored.
+// getFile refuses files over 20 MB; those keep matching on file_id only.
+// With write: false nothing is saved; `found` (fileId → unique id) still has every lookup.
+async function backfillUniqueIds(api, onProgress, { write = true } = {}) {
+    const movies = await Movie.find({ 'files.fileUniqueId': null }).select('files').lean();
+    const found = new Map();
+    let filled = 0;
+    let failed = 0;
+
+    for (const movie of movies) {
+        const updates = {};
+        for (const [i, file] of movie.files.entries()) {
+            if (file.fileUniqueId) continue;
+            try {
+                const info = await api.getFile(file.fileId);
+                found.set(file.fileId, info.file_unique_id);
+                updates[`files.${i}.fileUniqueId`] = info.file_unique_id;
+                if (info.file_size) updates[`files.${i}.fileSize`] = info.file_size;
+                filled++;
+            } catch (_) {
+                failed++;
+            }
+            await sleep(BACKFILL_DELAY_MS);
+        }
+        if (write && Object.keys(updates).length > 0) {
+            // Positional paths are only safe while the array is unchanged
+            await Movie.updateOne({ _id: movie._id, files: { $size: movie.files.length } }, { $set: updates });
+        }
+        if (onProgress) await onProgress(filled, failed);
+    }
+    return { filled, failed, found };
+}
+
+// Drop every file that an older movie (or an earlier slot of the same movie) already has.
+// Returns { scanned, removed, backfilled, unchecked, movies: [{ title, removed, empty }] },
+// where `unchecked` counts files still without a unique id. A dry run looks ids up too,
+// so it finds the same duplicates, but saves nothing.
+async function dedupeCatalog(api, { dryRun = false, onProgress = null } = {}) {
+    const { filled, found } = await backfillUniqueIds(api, onProgress, { write: !dryRun });
+
+    const seen = new Set();
+    const affected = [];
+    let scanned = 0;
+    let removed = 0;
+    let legacy = 0;
+
+    const cursor = Movie.find().sort({ _id: 1 }).select('title files messageIds').lean().cursor();
+    for await (const movie of cursor) {
+        const files = movie.files || [];
+        const messageIds = movie.messageIds || [];
+        // Legacy messageIds were pushed together with each file, so equal lengths pair them up by position
+        const paired = messageIds.length === files.length;
+        const kept = [];
+        const droppedIds = new Set();
+        for (const [i, file] of files.entries()) {
+            scanned++;
+            const fileUniqueId = file.fileUniqueId || found.get(file.fileId);
+            if (!fileUniqueId) legacy++;
+            const key = fileKey({ ...file, fileUniqueId });
+            if (seen.has(key)) {
+                if (paired) droppedIds.add(messageIds[i]);
+                continue;
+            }
+            seen.add(key);
+            kept.push(file);
+        }
+
+        const dropped = files.length - kept.length;
+        if (dropped === 0) continue;
+
+        // An emptied movie keeps no messageIds either, or delivery would copy the duplicates back out
+        const keptIds = kept.length === 0 ? [] : messageIds.filter(id => !droppedIds.has(id));
+        const empty = kept.length === 0;
+        removed += dropped;
+        affected.push({ title: movie.title, removed: dropped, empty });
+        if (dryRun) continue;
+
+        // Skipped if clips were indexed into the movie meanwhile; the next run catches it
+        const result = await Movie.updateOne(
+            { _id: movie._id, files: { $size: files.length } },
+            { $set: { files: kept, messageIds: keptIds } }
+        );
+        if (empty && result.modifiedCount > 0) unindexMovie(movie._id); // Nothing left to deliver
+    }
+
+    return {
+        scanned,
+        removed,
+        backfilled: filled,
+        unchecked: legacy,
+        movies: affected.sort((a, b) => b.removed - a.removed)
+    };
+}
+
+module.exports = {
+    fileKey,
+    findFileOwner,
+    dedupeCatalog
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { DeepLink } = require('../database');
+const { decodeMovieLink } = require('./helpers');
+
+// ────────────────────────────────────────────────────────────────────
+// Deep-link registry
+// /start payloads are "dl_<code>", a short random code looked up in the
+// DeepLink collection, so long titles never hit Telegram's 64-char limit.
+// Links posted before the registry ("v_<base64>", "token_<id>", "<base64>")
+// are still understood by resolveStartPayload.
+// ────────────────────────────────────────────────────────────────────
+const DEEP_LINK_PREFIX = 'dl_';
+
+const generateCode = () => crypto.randomBytes(8).toString('base64url'); // 11 chars
+
+// `source` is a ctx or the bot (bot.botInfo throws before init)
+const getBotUsername = (source) =>
+    process.env.BOT_USERNAME || source?.me?.username || (source?.isInited?.() ? source.botInfo.username : '');
+
+const startUrl = (source, code) => `https://t.me/${getBotUsername(source)}?start=${DEEP_LINK_PREFIX}${code}`;
+
+// New registry entry; returns its code
+async function createDeepLink({ action, movieId = null, userId = null, singleUse = false, ttlMs = null }) {
+    const link = await DeepLink.create({
+        code: generateCode(),
+        action,
+        movieId,
+        userId,
+        singleUse,
+        expiresAt: ttlMs ? new Date(Date.now() + ttlMs) : null
+    });
+    return link.code;
+}
+
+// Reusable code for a permanent link (one per movie, one per referrer)
+async function getPermanentCode(action, filter) {
+    const existing = await DeepLink.findOne({ action, ...filter, singleUse: false, expiresAt: null }).select('code').lean();
+    if (existing) return existing.code;
+    return createDeepLink({ action, ...filter });
+}
+
+// Public "Get Clips in PM" link for a movie. `source` is a ctx or the bot.
+async function getMovieStartUrl(source, movie) {
+    return startUrl(source, await getPermanentCode('movie', { movieId: movie._id }));
+}
+
+async function getReferralStartUrl(source, userId) {
+    return startUrl(source, await getPermanentCode('referral', { userId }));
+}
+
+// One-time, user-bound links behind the shortlink wall
+async function createUserStartUrl(source, { action, userId, movieId = null, ttlMs = 24 * 60 * 60 * 1000 }) {
+    return startUrl(source, await createDeepLink({ action, userId, movieId, singleUse: true, ttlMs }));
+}
+
+// What a /start payload asks for: { action, movieId, movieName, userId, link } or
+// { action: 'expired' } for unknown, used or expired codes. No payload → null.
+async function resolveStartPayload(payload) {
+    if (!payload) return null;
+
+    if (payload.startsWith(DEEP_LINK_PREFIX)) {
+        const link = await DeepLink.findOne({ code: payload.slice(DEEP_LINK_PREFIX.length) });
+        const expired = !link || (link.singleUse && link.usedAt) || (link.expiresAt && link.expiresAt < new Date());
+        if (!expired) {
+            return { action: link.action, movieId: link.movieId, userId: link.userId, link };
+        }
+        return { action: 'expired' };
+    }
+
+    // Legacy token_/v_ links aren't bound to a user or single-use: anyone could forge one
+    if (payload.startsWith('token_') || payload.startsWith('v_')) return { action: 'expired' };
+
+    // Legacy plain movie links still work; they grant nothing, so the monetization gate applies
+    const movieName = decodeMovieLink(payload);
+    if (!movieName) return { action: 'expired' };
+    return { action: 'movie', movieName };
+}
+
+// Mark a single-use link used. False if someone else used it first.
+async function consumeDeepLink(link) {
+    if (!link || !link.singleUse) return true;
+    const result = await DeepLink.updateOne({ _id: link._id, usedAt: null }, { usedAt: new Date() });
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    getMovieStartUrl,
+    getReferralStartUrl,
+    createUserStartUrl,
+    resolveStartPayload,
+    consumeDeepLink
+};
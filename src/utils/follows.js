@@ -0,0 +1,214 @@
+const { Movie, Follow, User, ScheduledAction } = require('../database');
+const { sleep, formatMovieTitle } = require('./helpers');
+const { getMovieStartUrl } = require('./deepLinks');
+
+// ────────────────────────────────────────────────────────────────────
+// New-clip digests for followers and favorites
+// Indexing only queues "movie X got N clips"; the queue is flushed once
+// clips stop arriving, so a 200-clip import sends each follower one PM.
+// The queue is a pending 'flushDigests' scheduler action, so a restart
+// only delays the digest.
+// ────────────────────────────────────────────────────────────────────
+const DIGEST_QUIET_MS = 2 * 60 * 1000;     // Flush after 2 minutes without new clips
+const DIGEST_MAX_WAIT_MS = 15 * 60 * 1000; // ...but never hold a digest longer than 15 minutes
+const MAX_DIGEST_LINES = 10;
+const MAX_FAVORITES = 100;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resolve "/follow Leo" to a movie and "/follow #Vijay" (or a bare name with no movie) to a category
+async function resolveFollowTarget(input) {
+    const raw = input.trim();
+    const isHashtag = raw.startsWith('#');
+    const name = raw.replace(/^#/, '').trim();
+    if (!name) return null;
+
+    if (!isHashtag) {
+        const title = name.toLowerCase();
+        const movie = await Movie.findOne({ title }) || await Movie.findOne({ aliases: title });
+        if (movie) return { type: 'movie', target: movie._id.toString(), label: movie.title };
+    }
+
+    const categoryRegex = new RegExp(`^${escapeRegex(name)}$`, 'i');
+    const withCategory = await Movie.findOne({ categories: categoryRegex }).select('categories').lean();
+    if (!withCategory) return null;
+
+    const label = withCategory.categories.find(c => categoryRegex.test(c));
+    return { type: 'category', target: label.toLowerCase(), label };
+}
+
+// Returns true when a new follow was created, false when it already existed
+async function followTarget(userId, { type, target, label }) {
+    const result = await Follow.updateOne(
+        { userId, type, target },
+        { $setOnInsert: { label } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+}
+
+async function unfollowTarget(userId, { type, target }) {
+    const result = await Follow.deleteOne({ userId, type, target });
+    return result.deletedCount > 0;
+}
+
+// Star or unstar a movie. Returns true when it is now a favorite, false when
+// it was removed, or null when the list is already full.
+async function toggleFavorite(userId, movieId) {
+    const removed = await User.updateOne({ userId, favorites: movieId }, { $pull: { favorites: movieId } });
+    if (removed.modifiedCount > 0) return false;
+
+    // Upsert: the star may come from the group before the user ever started the bot
+    try {
+        await User.updateOne(
+            { userId, [`favorites.${MAX_FAVORITES - 1}`]: { $exists: false } },
+            { $addToSet: { favorites: movieId } },
+            { upsert: true }
+        );
+        return true;
+    } catch (e) {
+        if (e.code === 11000) return null; // Full list: the filter missed and the upsert hit the unique userId
+        throw e;
+    }
+}
+
+// Label for a star button, so it says what a tap will do
+const favoriteButtonText = (starred) => (starred ? '☆ Remove from Favorites' : '⭐ Add to Favorites');
+
+// Called by indexing whenever clips are added to a movie. Never throws.
+function queueNewClips(movie, count = 1) {
+    if (!movie || count <= 0) return;
+    addToDigest(movie, count).catch(e => console.error('Queue digest error:', e.message));
+}
+
+async function addToDigest(movie, count) {
+    const id = movie._id.toString();
+    const now = Date.now();
+
+    // attempts: 0 = not yet claimed by the scheduler; once it is, clips start a new digest
+    const action = await ScheduledAction.findOneAndUpdate(
+        { type: 'flushDigests', attempts: 0 },
+        {
+            $set: {
+                [`payload.movies.${id}.title`]: movie.title,
+                [`payload.movies.${id}.nativeTitle`]: movie.nativeTitle || null,
+                [`payload.movies.${id}.categories`]: movie.categories ? [...movie.categories] : []
+            },
+            $inc: { [`payload.movies.${id}.count`]: count },
+            $setOnInsert: {
+                'payload.firstQueuedAt': now,
+                runAt: new Date(now + DIGEST_QUIET_MS),
+                lockedUntil: new Date(0),
+                createdAt: new Date(now)
+            }
+        },
+        { upsert: true, returnDocument: 'after', setDefaultsOnInsert: false }
+    ).lean();
+
+    // Push the flush back while clips keep arriving, up to the max wait
+    const runAt = Math.min(now + DIGEST_QUIET_MS, action.payload.firstQueuedAt + DIGEST_MAX_WAIT_MS);
+    await ScheduledAction.updateOne({ _id: action._id, attempts: 0 }, { $set: { runAt: new Date(runAt) } });
+}
+
+async function buildDigestText(bot, items) {
+    let text = `🔔 <b>NEW CLIPS FOR YOU</b>\n`;
+    text += `━━━━━━━━━ ✦ ━━━━━━━━━\n\n`;
+
+    for (const { movie, count, via } of items.slice(0, MAX_DIGEST_LINES)) {
+        const link = await getMovieStartUrl(bot, movie);
+        text += `🎬 <a href="${link}">${formatMovieTitle(movie)}</a> - <b>+${count}</b> clip${count > 1 ? 's' : ''}\n`;
+        if (via) text += `   <i>via #${via}</i>\n`;
+    }
+
+    if (items.length > MAX_DIGEST_LINES) {
+        text += `\n➕ and ${items.length - MAX_DIGEST_LINES} more movies\n`;
+    }
+
+    text += `\n━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+    text += `👆 Tap a title to get the clips • /unfollow or /favorites to stop`;
+    return text;
+}
+
+// One PM per follower covering every queued movie they follow directly or by category.
+// Run by the scheduler with the payload built by addToDigest.
+async function flushDigests(bot, payload) {
+    const batch = Object.entries(payload.movies || {}).map(([id, { count, ...movie }]) => ({
+        movie: { _id: id, ...movie },
+        count
+    }));
+    if (batch.length === 0) return;
+
+    try {
+        const movieIds = batch.map(b => b.movie._id.toString());
+        const categories = [...new Set(batch.flatMap(b => b.movie.categories.map(c => c.toLowerCase())))];
+
+        const [follows, fans] = await Promise.all([
+            Follow.find({
+                $or: [
+                    { type: 'movie', target: { $in: movieIds } },
+                    { type: 'category', target: { $in: categories } }
+                ]
+            }).lean(),
+            User.find({ favorites: { $in: movieIds } }).select('userId favorites').lean()
+        ]);
+        if (follows.length === 0 && fans.length === 0) return;
+
+        // userId → Map(movieId → digest line)
+        const digests = new Map();
+        const linesFor = (userId) => {
+            if (!digests.has(userId)) digests.set(userId, new Map());
+            return digests.get(userId);
+        };
+
+        // A starred movie counts as a direct follow
+        for (const fan of fans) {
+            const lines = linesFor(fan.userId);
+            const starred = new Set(fan.favorites.map(id => id.toString()));
+            for (const { movie, count } of batch) {
+                const id = movie._id.toString();
+                if (starred.has(id)) lines.set(id, { movie, count, via: null });
+            }
+        }
+
+        for (const follow of follows) {
+            const lines = linesFor(follow.userId);
+
+            for (const { movie, count } of batch) {
+                const id = movie._id.toString();
+                const matches = follow.type === 'movie'
+                    ? follow.target === id
+                    : movie.categories.some(c => c.toLowerCase() === follow.target);
+                if (!matches) continue;
+
+                // A direct movie follow wins over a category match for the "via" note
+                const via = follow.type === 'category' ? follow.label : null;
+                if (!lines.has(id) || !via) lines.set(id, { movie, count, via });
+            }
+        }
+
+        let sent = 0;
+        for (const [userId, lines] of digests) {
+            try {
+                await bot.api.sendMessage(userId, await buildDigestText(bot, [...lines.values()]), {
+                    parse_mode: 'HTML',
+                    link_preview_options: { is_disabled: true }
+                });
+                sent++;
+            } catch (_) { } // User never started the bot or blocked it
+            await sleep(300);
+        }
+        console.log(`🔔 Follow digest: ${batch.length} movies → ${sent}/${digests.size} followers`);
+    } catch (e) {
+        console.error('Follow digest error:', e.message);
+    }
+}
+
+module.exports = {
+    resolveFollowTarget,
+    followTarget,
+    unfollowTarget,
+    toggleFavorite,
+    favoriteButtonText,
+    queueNewClips,
+    flushDigests
+};
@@ -0,0 +1,73 @@
+const { Group } = require('../database');
+
+// ────────────────────────────────────────────────────────────────────
+// Search groups
+// Every group the bot serves is a Group document with its own settings.
+// Handlers read an in-memory copy on each message, so changes must go
+// through registerGroup/updateGroup/removeGroup to keep it current.
+// ────────────────────────────────────────────────────────────────────
+const groups = new Map(); // chatId → Group document (lean)
+
+// Load all groups. On first run, GROUP_ID / GROUP_LINK from .env become the first group.
+async function loadGroups() {
+    const envGroupId = process.env.GROUP_ID;
+    if (envGroupId && await Group.countDocuments() === 0) {
+        await Group.create({ chatId: envGroupId, link: process.env.GROUP_LINK || null });
+        console.log(`👥 Registered GROUP_ID ${envGroupId} as the first search group`);
+    }
+
+    groups.clear();
+    for (const group of await Group.find().lean()) groups.set(group.chatId, group);
+    console.log(`✅ ${groups.size} search group(s) loaded`);
+}
+
+// Settings for a registered group, or null
+const getGroup = (chatId) => groups.get(String(chatId)) || null;
+
+const listGroups = () => [...groups.values()];
+
+// Link for "join our group" messages: GROUP_LINK, else the first group that has one
+const getGroupLink = () => process.env.GROUP_LINK || listGroups().find(g => g.link)?.link || null;
+
+async function registerGroup(chatId, { title = '', link = null } = {}) {
+    const group = await Group.findOneAndUpdate(
+        { chatId: String(chatId) },
+        { $set: { title }, $setOnInsert: { link } },
+        { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true }
+    ).lean();
+    groups.set(group.chatId, group);
+    return group;
+}
+
+// Apply a Mongo update to a registered group; null if it isn't registered
+async function updateGroup(chatId, update) {
+    const group = await Group.findOneAndUpdate({ chatId: String(chatId) }, update, { returnDocument: 'after' }).lean();
+    if (group) groups.set(group.chatId, group);
+    return group;
+}
+
+async function removeGroup(chatId) {
+    const result = await Group.deleteOne({ chatId: String(chatId) });
+    groups.delete(String(chatId));
+    return result.deletedCount > 0;
+}
+
+// Bump one of a group's stats counters. Never throws, not awaited by callers.
+function recordGroupStat(chatId, field) {
+    const group = getGroup(chatId);
+    if (!group) return;
+    group.stats[field] = (group.stats[field] || 0) + 1;
+    Group.updateOne({ chatId: group.chatId }, { $inc: { [`stats.${field}`]: 1 } })
+        .catch(e => console.error('Group stat error:', e.message));
+}
+
+module.exports = {
+    loadGroups,
+    getGroup,
+    listGroups,
+    getGroupLink,
+    registerGroup,
+    updateGroup,
+    removeGroup,
+    recordGroupStat
+};
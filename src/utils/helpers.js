@@ -1,3 +1,5 @@
+const axios = require('axios');
+
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 const cleanMovieName = (title) => {
@@ -36,6 +38,14 @@ const cleanMovieName = (title) => {
     return finalTitle.replace(/\s+/g, ' ').trim().toLowerCase();
 };
 
+// Title plus its native-script spelling when one is stored: "leo (லியோ)"
+const formatMovieTitle = (movie) => {
+    return movie.nativeTitle ? `${movie.title} (${movie.nativeTitle})` : movie.title;
+};
+
+// User text inside HTML-mode messages
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
 const encodeMovieLink = (movieName) => {
     // encode for start payload (max 64 chars, a-zA-Z0-9_- allowed)
     // Telegram restricts start payloads heavily.
@@ -61,10 +71,21 @@ const sendToLogChannel = async (bot, message) => {
     }
 };
 
+// Download a file sent to the bot (Bot API limit: 20 MB) as a Buffer
+const downloadFile = async (api, fileId) => {
+    const file = await api.getFile(fileId);
+    const url = `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`;
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+};
+
 module.exports = {
     sleep,
     cleanMovieName,
+    formatMovieTitle,
+    escapeHtml,
     encodeMovieLink,
     decodeMovieLink,
-    sendToLogChannel
+    sendToLogChannel,
+    downloadFile
 };
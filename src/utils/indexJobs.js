@@ -0,0 +1,288 @@
+const { GrammyError } = require('grammy');
+const { Movie, IndexJob } = require('../database');
+const { escapeHtml, sendToLogChannel } = require('./helpers');
+const { refreshMovie } = require('./searchIndex');
+const { notifyRequesters } = require('./requests');
+const { queueNewClips } = require('./follows');
+const { extractMovieInfo } = require('./queryFilters');
+const { recordCategories } = require('./categories');
+const { findFileOwner } = require('./dedupe');
+const { extractFileInfo, extractTypedCategories, extractCategories, extractAliases, extractCaptionTitle } = require('./captions');
+
+// ────────────────────────────────────────────────────────────────────
+// Range import jobs
+// /addmovie only queues an IndexJob. A single worker walks the range one
+// message at a time and saves the cursor after each, so a restart picks
+// up where it stopped and /pausejob or /canceljob take effect right away.
+// ────────────────────────────────────────────────────────────────────
+const POLL_INTERVAL_MS = 10 * 1000;
+const LOCK_MS = 2 * 60 * 1000; // A job whose worker died is resumed after this
+const PROGRESS_EVERY = 5;      // Messages between status message edits
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+let bot = null;
+let pollTimer = null;
+let working = false;
+
+const STATUS_ICONS = { queued: '🕒', running: '🔄', paused: '⏸️', cancelled: '🛑', done: '✅', failed: '❌' };
+
+const shortId = (job) => job._id.toString().slice(-6);
+const totalMessages = (job) => job.endId - job.startId + 1;
+const processedMessages = (job) => Math.min(job.cursor, job.endId + 1) - job.startId;
+
+// Progress text for the status message and /jobs
+function buildJobProgressText(job) {
+    const title = escapeHtml(job.title);
+    const counts =
+        `📊 Progress: <b>${processedMessages(job)}</b> / ${totalMessages(job)} messages\n` +
+        `✅ Added: ${job.added} files` +
+        `${job.skipped > 0 ? `\n⏭️ Duplicates skipped: ${job.skipped}` : ''}` +
+        `${job.failed > 0 ? `\n⚠️ Unreadable: ${job.failed}` : ''}`;
+
+    if (job.status === 'done') {
+        return `✅ <b>Indexing Complete!</b>\n\n` +
+            `🎬 <b>${title}</b>\n` +
+            `📂 Files added: ${job.added}\n` +
+            `${job.skipped > 0 ? `⏭️ Duplicates skipped: ${job.skipped}\n` : ''}` +
+            `${job.failed > 0 ? `⚠️ Unreadable messages: ${job.failed}\n` : ''}` +
+            `${job.categories.length > 0 ? `👤 Categories: ${job.categories.join(', ')}` : ''}\n\n` +
+            `🖼️ Thumbnail: ${job.thumbnail ? '✅ Saved' : '❌ Not found'}`;
+    }
+    if (job.status === 'failed') {
+        return `❌ <b>Indexing failed: "${title}"</b>\n\n${counts}\n\n<i>${escapeHtml(job.error || 'Unknown error')}</i>`;
+    }
+    if (job.status === 'cancelled') return `🛑 <b>Indexing cancelled: "${title}"</b>\n\n${counts}`;
+    if (job.status === 'paused') return `⏸️ <b>Indexing paused: "${title}"</b>\n\n${counts}\n\n▶️ /resumejob ${shortId(job)}`;
+    if (job.status === 'queued') return `🕒 <b>Queued: "${title}"</b>\n\n${counts}\n\n🆔 Job <code>${shortId(job)}</code>`;
+    return `🔄 <b>Indexing "${title}"...</b>\n\n${counts}\n\n🆔 Job <code>${shortId(job)}</code> • /pausejob • /canceljob`;
+}
+
+// Edit the job's status message. Never throws.
+async function updateStatusMessage(job) {
+    if (!bot || !job.statusChatId || !job.statusMessageId) return;
+    try {
+        await bot.api.editMessageText(job.statusChatId, job.statusMessageId, buildJobProgressText(job), { parse_mode: 'HTML' });
+    } catch (e) {
+        // "message is not modified" or deleted - nothing to do
+        if (!(e instanceof GrammyError)) console.error('Job status edit error:', e.message);
+    }
+}
+
+// Same work the old in-handler loop did for one message. Returns the fields that changed.
+async function indexRangeMessage(job, msgId) {
+    let msg;
+    try {
+        const msgs = await bot.api.getMessages(job.chatId, [msgId]);
+        msg = Array.isArray(msgs) ? msgs[0] : msgs;
+    } catch (e) {
+        console.log(`Could not get message ${msgId}: ${e.message}`);
+        return { failed: job.failed + 1 };
+    }
+    if (!msg) return { failed: job.failed + 1 };
+
+    const changes = {};
+
+    // Detect thumbnail from first media found
+    if (!job.thumbnail) {
+        if (msg.photo && msg.photo.length > 0) changes.thumbnail = msg.photo[msg.photo.length - 1].file_id;
+        else if (msg.video && msg.video.thumbnail) changes.thumbnail = msg.video.thumbnail.file_id;
+        else if (msg.document && msg.document.thumbnail) changes.thumbnail = msg.document.thumbnail.file_id;
+        else if (msg.animation) changes.thumbnail = msg.animation.file_id;
+    }
+
+    const fileInfo = extractFileInfo(msg);
+    if (!fileInfo) return changes;
+    fileInfo.sourceChatId = job.chatId;
+    fileInfo.sourceMessageId = msgId;
+
+    if (await findFileOwner(fileInfo)) {
+        changes.skipped = job.skipped + 1; // Already in the catalog (this movie or another)
+        return changes;
+    }
+
+    // Extract categories from caption too (minus any #title tag)
+    const { caption } = extractCaptionTitle(msg.caption || '');
+    const captionCategories = extractCategories(caption);
+    await recordCategories(extractTypedCategories(caption));
+    const allCategories = [...new Set([...job.categories, ...captionCategories])];
+    const captionAliases = extractAliases(caption).filter(a => a !== job.title);
+
+    const captionInfo = { ...job.captionInfo };
+    Object.entries(extractMovieInfo(msg.caption || '')).forEach(([field, value]) => {
+        if (captionInfo[field] === undefined) captionInfo[field] = value;
+    });
+    changes.captionInfo = captionInfo;
+
+    await Movie.findOneAndUpdate(
+        { title: job.title },
+        {
+            $setOnInsert: { title: job.title, requests: 0 },
+            $addToSet: {
+                files: fileInfo, // Carries its source chat/message; messageIds is legacy
+                categories: { $each: allCategories },
+                aliases: { $each: captionAliases }
+            }
+        },
+        { upsert: true }
+    );
+    changes.added = job.added + 1;
+    return changes;
+}
+
+// Movie-level updates once the whole range is in
+async function finishJob(job) {
+    const { title, movieInfo, captionInfo } = job;
+
+    // Year/language/quality: command values always win, captions only fill gaps
+    for (const [field, value] of Object.entries(captionInfo || {})) {
+        if (movieInfo[field] !== undefined) continue;
+        await Movie.updateOne({ title, [field]: null }, { $set: { [field]: value } });
+    }
+    if (Object.keys(movieInfo || {}).length > 0) {
+        await Movie.updateOne({ title }, { $set: movieInfo });
+    }
+
+    if (job.thumbnail) {
+        await Movie.updateOne(
+            { title, $or: [{ thumbnail: { $exists: false } }, { thumbnail: null }] },
+            { $set: { thumbnail: job.thumbnail } }
+        );
+    }
+
+    await recordCategories(job.categories.map(name => ({ name, type: 'genre' })));
+    const indexed = await refreshMovie({ title });
+    if (indexed && job.added > 0) {
+        const movieDoc = await Movie.findById(indexed._id).lean();
+        if (job.isNewMovie) await notifyRequesters(bot, movieDoc);
+        queueNewClips(movieDoc, job.added);
+    }
+
+    await sendToLogChannel(bot,
+        `📂 <b>Auto-Index Complete</b>\n\n` +
+        `🎬 Movie: <b>${escapeHtml(title)}</b>\n` +
+        `📂 Files: ${job.added}\n` +
+        `${job.skipped > 0 ? `⏭️ Duplicates skipped: ${job.skipped}\n` : ''}` +
+        `🖼️ Thumbnail: ${job.thumbnail ? '✅' : '❌'}\n` +
+        `${job.categories.length > 0 ? `👤 Categories: ${job.categories.join(', ')}` : ''}`
+    );
+}
+
+// Work one claimed job until it ends or someone pauses/cancels it
+async function runJob(job) {
+    console.log(`🗂️ Index job ${shortId(job)} (${job.title}) running from message ${job.cursor}`);
+    await updateStatusMessage(job);
+
+    while (job.cursor <= job.endId) {
+        const changes = await indexRangeMessage(job, job.cursor);
+
+        // Save the cursor; no match means the job was paused or cancelled meanwhile
+        const saved = await IndexJob.findOneAndUpdate(
+            { _id: job._id, status: 'running' },
+            { $set: { ...changes, cursor: job.cursor + 1, lockedUntil: new Date(Date.now() + LOCK_MS) } },
+            { returnDocument: 'after' }
+        ).lean();
+        if (!saved) {
+            await refreshMovie({ title: job.title }); // Make the clips added so far searchable
+            const stopped = await IndexJob.findById(job._id).lean();
+            if (stopped) await updateStatusMessage(stopped);
+            return;
+        }
+        job = saved;
+
+        if (processedMessages(job) % PROGRESS_EVERY === 0) await updateStatusMessage(job);
+    }
+
+    await finishJob(job);
+    job = await IndexJob.findOneAndUpdate(
+        { _id: job._id },
+        { $set: { status: 'done', finishedAt: new Date() } },
+        { returnDocument: 'after' }
+    ).lean();
+    await updateStatusMessage(job);
+    console.log(`✅ Index job ${shortId(job)} (${job.title}) done: ${job.added} added`);
+}
+
+// Claim the oldest queued job, or a running one whose worker stopped (restart)
+async function runNextJob() {
+    if (working || !bot) return;
+    working = true;
+
+    let job = null;
+    try {
+        while (true) {
+            const now = new Date();
+            job = await IndexJob.findOneAndUpdate(
+                { status: { $in: ['queued', 'running'] }, lockedUntil: { $lte: now } },
+                { $set: { status: 'running', lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+                { sort: { createdAt: 1 }, returnDocument: 'after' }
+            ).lean();
+            if (!job) break;
+            await runJob(job);
+        }
+    } catch (e) {
+        console.error('❌ Index job error:', e);
+        if (job) {
+            const failed = await IndexJob.findOneAndUpdate(
+                { _id: job._id },
+                { $set: { status: 'failed', error: e.message, finishedAt: new Date() } },
+                { returnDocument: 'after' }
+            ).lean().catch(() => null);
+            if (failed) await updateStatusMessage(failed);
+        }
+    } finally {
+        working = false;
+    }
+}
+
+// Start the worker; jobs interrupted by a restart resume once their lock expires
+function startIndexWorker(botInstance) {
+    bot = botInstance;
+    if (pollTimer) return;
+    runNextJob();
+    pollTimer = setInterval(runNextJob, POLL_INTERVAL_MS);
+}
+
+// Queue a range import and kick the worker
+async function createIndexJob(fields) {
+    const job = await IndexJob.create({ ...fields, cursor: fields.startId });
+    setImmediate(runNextJob);
+    return job;
+}
+
+// A job by full id or the short id shown in /jobs
+async function findJob(ref) {
+    if (/^[a-f0-9]{24}$/i.test(ref)) return await IndexJob.findById(ref);
+    if (!/^[a-f0-9]{1,23}$/i.test(ref)) return null;
+    const candidates = await IndexJob.find().sort({ createdAt: -1 }).limit(50);
+    return candidates.find(j => j._id.toString().endsWith(ref.toLowerCase())) || null;
+}
+
+// Move a job between states. Returns the updated job, or null if it wasn't in one of `from`.
+async function setJobStatus(job, from, status) {
+    const update = { status };
+    if (status === 'queued') update.lockedUntil = new Date(0);
+    if (status === 'cancelled') update.finishedAt = new Date();
+
+    const updated = await IndexJob.findOneAndUpdate(
+        { _id: job._id, status: { $in: from } },
+        { $set: update },
+        { returnDocument: 'after' }
+    ).lean();
+    if (updated) {
+        await updateStatusMessage(updated);
+        if (status === 'queued') setImmediate(runNextJob);
+    }
+    return updated;
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    STATUS_ICONS,
+    shortId,
+    totalMessages,
+    processedMessages,
+    startIndexWorker,
+    createIndexJob,
+    findJob,
+    setJobStatus
+};
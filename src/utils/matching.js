@@ -0,0 +1,95 @@
+// Spaceless matching - ignores spaces in query vs title
+function matchesSpaceless(query, title) {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = title.toLowerCase().replace(/\s+/g, '');
+    if (q.length < 3) return false;
+    if (t.includes(q) || q.includes(t)) return true;
+    return false;
+}
+
+// Token matching - all query words must exist in title
+function matchesTokens(query, title) {
+    const qTokens = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
+    const tLower = title.toLowerCase();
+    return qTokens.length > 0 && qTokens.every(token => tLower.includes(token));
+}
+
+// Keyboard proximity - detects typos from nearby keys
+function keyboardProximity(a, b) {
+    const row1 = 'qwertyuiop';
+    const row2 = 'asdfghjkl';
+    const row3 = 'zxcvbnm';
+    const getRow = (c) => {
+        if (row1.includes(c)) return 1;
+        if (row2.includes(c)) return 2;
+        if (row3.includes(c)) return 3;
+        return 0;
+    };
+
+    if (Math.abs(a.length - b.length) > 2) return 100;
+
+    let score = 0;
+    const minLen = Math.min(a.length, b.length);
+    for (let i = 0; i < minLen; i++) {
+        if (a[i] !== b[i]) {
+            const rowA = getRow(a[i]);
+            const rowB = getRow(b[i]);
+            if (rowA === rowB) score += 0.5;
+            else if (Math.abs(rowA - rowB) === 1) score += 1;
+            else score += 2;
+        }
+    }
+    score += Math.abs(a.length - b.length);
+    return score;
+}
+
+// Soundex - phonetic matching
+function soundex(s) {
+    if (!s || s.length < 2) return '0000';
+    const a = s.toLowerCase().split('');
+    const firstLetter = a[0];
+    const codes = {
+        a: 0, e: 0, i: 0, o: 0, u: 0, h: 0, w: 0, y: 0,
+        b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+        d: 3, t: 3, l: 4, m: 5, n: 5, r: 6
+    };
+    let result = firstLetter.toUpperCase();
+    let prev = codes[a[0]] || 0;
+    for (let i = 1; i < a.length && result.length < 4; i++) {
+        const code = codes[a[i]];
+        if (code !== undefined && code !== 0 && code !== prev) {
+            result += code;
+            prev = code;
+        }
+    }
+    return (result + '000').slice(0, 4);
+}
+
+// Levenshtein distance for smart typo detection
+function levenshteinDistance(a, b) {
+    const matrix = [];
+    for (let i = 0; i <= b.length; i++) matrix[i] = [i];
+    for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
+    for (let i = 1; i <= b.length; i++) {
+        for (let j = 1; j <= a.length; j++) {
+            if (b.charAt(i - 1) === a.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+    return matrix[b.length][a.length];
+}
+
+module.exports = {
+    matchesSpaceless,
+    matchesTokens,
+    keyboardProximity,
+    soundex,
+    levenshteinDistance
+};
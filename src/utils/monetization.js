@@ -15,6 +15,21 @@ const setSetting = async (key, value) => {
     );
 };
 
+// --- Search Mode ---
+// group | pm | both (/setsearchmode). Cached because search reads it on every message.
+let searchMode = 'group';
+
+const loadSearchMode = async () => {
+    searchMode = await getSetting('searchMode', 'group');
+};
+
+const getSearchMode = () => searchMode;
+
+const setSearchMode = async (mode) => {
+    await setSetting('searchMode', mode);
+    searchMode = mode;
+};
+
 // --- Shortlink API Wrapper ---
 // Compatible with arolinks, vplinks, gplinks (they all use the same query format)
 const wrapShortlink = async (targetUrl) => {
@@ -89,6 +104,9 @@ const getTokenExpiry = async (userId) => {
 module.exports = {
     getSetting,
     setSetting,
+    loadSearchMode,
+    getSearchMode,
+    setSearchMode,
     wrapShortlink,
     hasValidToken,
     grantToken,
@@ -0,0 +1,151 @@
+// ────────────────────────────────────────────────────────────────────
+// Structured search filters
+// "leo year:2023 lang:tamil", "#vijay 2019", "jailer 1080p tamil dubbed".
+// Filter tokens are pulled out of the raw text before cleanMovieName,
+// which would otherwise delete words like "1080p" and "tamil dubbed".
+// ────────────────────────────────────────────────────────────────────
+const LANGUAGES = {
+    tamil: 'tamil', tam: 'tamil',
+    telugu: 'telugu', tel: 'telugu',
+    hindi: 'hindi', hin: 'hindi',
+    malayalam: 'malayalam', mal: 'malayalam',
+    kannada: 'kannada', kan: 'kannada',
+    english: 'english', eng: 'english'
+};
+
+const QUALITIES = {
+    '360p': '360p', '480p': '480p', '720p': '720p', '1080p': '1080p',
+    '2160p': '2160p', '4k': '2160p', 'uhd': '2160p'
+};
+
+const YEAR_PATTERN = /^(19[5-9]\d|20[0-4]\d)$/;
+
+const normalizeLanguage = (value) => LANGUAGES[(value || '').toLowerCase()] || null;
+const normalizeQuality = (value) => QUALITIES[(value || '').toLowerCase()] || null;
+const normalizeYear = (value) => (YEAR_PATTERN.test(value || '') ? parseInt(value) : null);
+
+// Every resolution mentioned in a caption
+const normalizeCaptionQualities = (caption) =>
+    (caption || '').toLowerCase().split(/[^a-z0-9]+/).map(normalizeQuality).filter(Boolean);
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split raw text into the remaining title text and { year, language, quality, categories }.
+// `loose` names filters that came from bare words ("2019", "1080p") rather than key:value.
+function parseQueryFilters(rawText) {
+    const filters = { year: null, language: null, quality: null, categories: [], loose: [] };
+    const words = (rawText || '').trim().split(/\s+/).filter(Boolean);
+    const rest = [];
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const lower = word.toLowerCase();
+        const keyValue = lower.match(/^(year|y|lang|language|l|quality|q):(.+)$/);
+
+        if (keyValue) {
+            const [, key, value] = keyValue;
+            if (['year', 'y'].includes(key) && normalizeYear(value)) filters.year = normalizeYear(value);
+            else if (['lang', 'language', 'l'].includes(key) && normalizeLanguage(value)) filters.language = normalizeLanguage(value);
+            else if (['quality', 'q'].includes(key) && normalizeQuality(value)) filters.quality = normalizeQuality(value);
+            else rest.push(word); // Unknown value, keep it as search text
+        } else if (/^#\w+$/.test(word)) {
+            filters.categories.push(word.slice(1));
+        } else if (normalizeYear(lower) && i > 0) {
+            filters.year = normalizeYear(lower); // A bare year only after some other text: "#vijay 2019"
+            filters.loose.push('year');
+        } else if (normalizeQuality(lower)) {
+            filters.quality = normalizeQuality(lower);
+            filters.loose.push('quality');
+        } else if (normalizeLanguage(lower) && words[i + 1]?.toLowerCase() === 'dubbed') {
+            filters.language = normalizeLanguage(lower);
+            filters.loose.push('language');
+            i++; // Skip "dubbed"
+        } else {
+            rest.push(word);
+        }
+    }
+
+    return { text: rest.join(' '), filters };
+}
+
+const hasFilters = (filters) =>
+    !!(filters.year || filters.language || filters.quality || filters.categories.length > 0);
+
+// Only the key:value and #category filters, for retrying when bare words over-narrowed
+// a search ("leo 2023" on a catalog without years)
+function explicitFilters(filters) {
+    const explicit = { ...filters, categories: [...filters.categories], loose: [] };
+    filters.loose.forEach(key => { explicit[key] = null; });
+    return explicit;
+}
+
+// Does a movie document satisfy every filter? Falls back to data that predates the
+// structured fields: a year in the title, a language category, a quality in a caption.
+function matchesFilters(movie, filters) {
+    const categories = (movie.categories || []).map(c => c.toLowerCase());
+    const names = [movie.title, ...(movie.aliases || [])].map(n => n.toLowerCase());
+
+    if (filters.year && movie.year !== filters.year &&
+        !names.some(n => n.split(/\s+/).includes(String(filters.year)))) return false;
+
+    if (filters.language && movie.language !== filters.language &&
+        !categories.includes(filters.language)) return false;
+
+    if (filters.quality && movie.quality !== filters.quality &&
+        !(movie.files || []).some(f => normalizeCaptionQualities(f.caption).includes(filters.quality))) return false;
+
+    return filters.categories.every(c => categories.includes(c.toLowerCase()));
+}
+
+// Mongo query for filter-only searches ("#vijay 2019") with no title text
+function buildFilterQuery(filters) {
+    const and = filters.categories.map(c => ({ categories: new RegExp(`^${escapeRegex(c)}$`, 'i') }));
+
+    if (filters.year) {
+        and.push({ $or: [{ year: filters.year }, { title: new RegExp(`\\b${filters.year}\\b`) }] });
+    }
+    if (filters.language) {
+        and.push({ $or: [{ language: filters.language }, { categories: new RegExp(`^${filters.language}$`, 'i') }] });
+    }
+    if (filters.quality) {
+        and.push({ $or: [{ quality: filters.quality }, { 'files.caption': new RegExp(`\\b${filters.quality}\\b`, 'i') }] });
+    }
+
+    return and.length > 0 ? { $and: and } : {};
+}
+
+// "#vijay year:2019 lang:tamil" - for echoing the active filters back to the user
+function describeFilters(filters) {
+    const parts = filters.categories.map(c => `#${c}`);
+    if (filters.year) parts.push(`year:${filters.year}`);
+    if (filters.language) parts.push(`lang:${filters.language}`);
+    if (filters.quality) parts.push(`quality:${filters.quality}`);
+    return parts.join(' ');
+}
+
+// Structured fields from a caption: "Year: 2023", "(2023)", "Language: Tamil", "1080p"
+function extractMovieInfo(caption) {
+    const info = {};
+    if (!caption) return info;
+
+    const yearMatch = caption.match(/\byear\s*:\s*(\d{4})\b/i) || caption.match(/\((\d{4})\)/);
+    if (yearMatch && normalizeYear(yearMatch[1])) info.year = normalizeYear(yearMatch[1]);
+
+    const langMatch = caption.match(/\b(?:lang|language)\s*:\s*([a-z]+)/i);
+    if (langMatch && normalizeLanguage(langMatch[1])) info.language = normalizeLanguage(langMatch[1]);
+
+    const quality = normalizeCaptionQualities(caption)[0];
+    if (quality) info.quality = quality;
+
+    return info;
+}
+
+module.exports = {
+    parseQueryFilters,
+    hasFilters,
+    explicitFilters,
+    matchesFilters,
+    buildFilterQuery,
+    describeFilters,
+    extractMovieInfo
+};
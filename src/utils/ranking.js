@@ -0,0 +1,198 @@
+const { matchesSpaceless, matchesTokens, keyboardProximity, soundex, levenshteinDistance } = require('./matching');
+const { findCandidates, loadMovies, getNames } = require('./searchIndex');
+const { hasNativeScript, transliterate, phoneticSkeleton } = require('./transliterate');
+const { hasFilters, explicitFilters, matchesFilters, buildFilterQuery } = require('./queryFilters');
+const { Movie } = require('../database');
+
+// Points per matching signal (higher is better). A title collects every
+// signal it matches, so an exact title also scores tokens/spaceless (prefix
+// is only for longer titles). Aliases score like titles; a movie keeps its
+// best-scoring name.
+const SIGNAL_POINTS = {
+    exact: 100,
+    prefix: 50,
+    tokens: 40,
+    spaceless: 30,
+    category: 25,
+    phonetic: 15,
+    category_fuzzy: 12,
+    typo: 12,
+    keyboard: 8,
+    translit: 60
+};
+
+// Signals that only mean "close enough", not "the user typed this title"
+const FUZZY_SIGNALS = ['category', 'category_fuzzy', 'phonetic', 'typo', 'keyboard', 'translit'];
+
+const MAX_RESULTS = 20;
+const MAX_POPULARITY_POINTS = 10; // Popularity breaks ties, never outranks a text signal
+const CLEAR_WIN_RATIO = 1.5;      // Top score must beat the runner-up by this factor to auto-pick
+const MAX_FILTERED_RESULTS = 20;
+const FILTERED_CANDIDATES = 100;  // Ranked candidates to narrow down when filters are active
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const spaceless = (s) => s.replace(/\s+/g, '');
+
+// Text signals for one title or alias
+function scoreName(q, name) {
+    const title = name.toLowerCase();
+    const signals = [];
+    let score = 0;
+
+    const add = (signal, points = SIGNAL_POINTS[signal]) => {
+        signals.push(signal);
+        score += points;
+    };
+
+    if (title === q) add('exact');
+    else if (title.startsWith(q) || spaceless(title).startsWith(spaceless(q))) add('prefix');
+
+    if (matchesTokens(q, title)) add('tokens');
+    if (matchesSpaceless(q, title)) add('spaceless');
+
+    // Phonetic and typo signals are junk for very short queries
+    if (q.length >= 3 && title !== q) {
+        if (soundex(q) === soundex(title)) add('phonetic');
+
+        const threshold = q.length < 5 ? 1 : 2;
+        const distance = levenshteinDistance(q, title);
+        if (distance <= threshold) {
+            add('typo', SIGNAL_POINTS.typo - (distance - 1) * 4);
+        } else if (q.length >= 5 && keyboardProximity(q, title) <= 2) {
+            add('keyboard');
+        }
+    }
+
+    return { score, signals };
+}
+
+// Whole-word or 1-char-typo category hits
+function scoreCategories(q, categories) {
+    const wordRegex = new RegExp(`\\b${escapeRegex(q)}\\b`, 'i');
+    if (categories.some(c => wordRegex.test(c))) {
+        return { score: SIGNAL_POINTS.category, signals: ['category'] };
+    }
+
+    if (q.length >= 4) {
+        const fuzzyCategory = categories.some(cat =>
+            cat.toLowerCase().split(/\s+/).some(word => word.length >= 4 && levenshteinDistance(q, word) <= 1)
+        );
+        if (fuzzyCategory) return { score: SIGNAL_POINTS.category_fuzzy, signals: ['category_fuzzy'] };
+    }
+
+    return { score: 0, signals: [] };
+}
+
+// Signals for a transliterated (Tamil/Devanagari) query against one name
+function scoreTransliterated(latin, name) {
+    const result = scoreName(latin, name);
+    const skeleton = phoneticSkeleton(latin);
+    if (skeleton && skeleton === phoneticSkeleton(name)) {
+        result.signals.push('translit');
+        result.score += SIGNAL_POINTS.translit;
+    }
+    return result;
+}
+
+// Best title/alias signals plus category signals for one index entry
+function scoreEntry(query, entry, latin = null) {
+    const q = query.toLowerCase();
+    const categories = entry.categories || [];
+
+    const scores = getNames(entry).map(name => scoreName(q, name));
+    if (latin) {
+        getNames(entry).forEach(name => scores.push(scoreTransliterated(latin, name)));
+    }
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    const signals = [...best.signals];
+    let score = best.score;
+
+    const category = [q, latin].filter(Boolean)
+        .map(text => scoreCategories(text, categories))
+        .reduce((x, y) => (y.score > x.score ? y : x));
+    signals.push(...category.signals);
+    score += category.score;
+
+    return { score, signals };
+}
+
+const popularityPoints = (movie) => Math.min(MAX_POPULARITY_POINTS, Math.log10(1 + (movie.requests || 0)) * 4);
+
+// Rank every candidate from the search index. Returns [{ movie, score, signals }], best first.
+// Native-script queries are matched as typed and as their Latin transliteration.
+async function rankMovies(query, limit = MAX_RESULTS) {
+    const latin = hasNativeScript(query) ? transliterate(query) : null;
+
+    const candidates = findCandidates(query);
+    if (latin) {
+        const seen = new Set(candidates.map(e => e._id.toString()));
+        findCandidates(latin).forEach(e => {
+            if (!seen.has(e._id.toString())) candidates.push(e);
+        });
+    }
+
+    const scored = candidates
+        .map(entry => ({ entry, ...scoreEntry(query, entry, latin) }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    const docs = await loadMovies(scored.map(r => r.entry));
+    return scored
+        .map(r => {
+            const movie = docs.find(d => d._id.toString() === r.entry._id.toString());
+            return movie && { movie, score: r.score + popularityPoints(movie), signals: r.signals };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Ranked results narrowed by structured filters. Filter-only queries ("#vijay 2019")
+// list matching movies by popularity. Bare-word filters are dropped if they rule out everything.
+async function findFilteredResults(query, filters) {
+    if (!hasFilters(filters)) return rankMovies(query);
+
+    const search = async (active) => {
+        if (query.length < 2) {
+            const movies = await Movie.find(buildFilterQuery(active))
+                .sort({ requests: -1 })
+                .limit(MAX_FILTERED_RESULTS)
+                .lean();
+            // Equal scores: one match is picked, several always go to the list
+            return movies.map(movie => ({ movie, score: 1, signals: ['filter'] }));
+        }
+
+        const ranked = await rankMovies(query, FILTERED_CANDIDATES);
+        return ranked.filter(r => matchesFilters(r.movie, active)).slice(0, MAX_FILTERED_RESULTS);
+    };
+
+    const results = await search(filters);
+    const fallback = explicitFilters(filters);
+    if (results.length === 0 && filters.loose.length > 0 && (query.length >= 2 || hasFilters(fallback))) {
+        return search(fallback);
+    }
+    return results;
+}
+
+// One result, or a top result far enough ahead of the runner-up
+// One result, a big enough lead, or the only exact title/alias match ("leo" next to "Leo Das")
+const isClearWinner = (results) =>
+    results.length === 1 ||
+    (results.length > 1 && results[0].score >= results[1].score * CLEAR_WIN_RATIO) ||
+    (results.length > 1 && results[0].signals.includes('exact') && !results[1].signals.includes('exact'));
+
+const isFuzzyMatch = (result) => result.signals.every(s => FUZZY_SIGNALS.includes(s));
+
+// Highest-scoring signal behind a result, reported as its strategy in search analytics
+const primarySignal = (result) => result.signals.reduce(
+    (best, s) => ((SIGNAL_POINTS[s] || 0) > (SIGNAL_POINTS[best] || 0) ? s : best),
+    result.signals[0] || null
+);
+
+module.exports = {
+    rankMovies,
+    findFilteredResults,
+    isClearWinner,
+    isFuzzyMatch,
+    primarySignal
+};
@@ -0,0 +1,152 @@
+const { Movie, Delivery, Recommendation } = require('../database');
+
+// ────────────────────────────────────────────────────────────────────
+// "You might also like"
+// A periodic job blends "users who got X also got Y" from delivery history
+// with category overlap and stores the top picks per movie. Lookups at
+// search and delivery time are then a single findOne.
+// ────────────────────────────────────────────────────────────────────
+const HISTORY_WINDOW_MS = 90 * 24 * 60 * 60 * 1000; // Deliveries older than this are ignored
+const MAX_BASKET = 50;          // Most recent movies per user that count
+const MAX_CATEGORY_SIZE = 300;  // Bigger categories are too broad to suggest from
+const MAX_RECOMMENDATIONS = 10;
+const CO_DOWNLOAD_WEIGHT = 0.7;
+const CATEGORY_WEIGHT = 0.3;
+
+let jobInProgress = false;
+
+// movieId → Map(otherId → users who got both), plus users per movie
+async function countCoDownloads() {
+    const baskets = await Delivery.aggregate([
+        { $match: { reused: { $ne: true }, createdAt: { $gte: new Date(Date.now() - HISTORY_WINDOW_MS) } } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$userId', movies: { $push: '$movieId' } } } // Newest first
+    ]).allowDiskUse(true);
+
+    const pairs = new Map();
+    const users = new Map();
+    for (const basket of baskets) {
+        const ids = [...new Set(basket.movies.map(String))].slice(0, MAX_BASKET);
+        for (const id of ids) users.set(id, (users.get(id) || 0) + 1);
+        if (ids.length < 2) continue;
+
+        for (const a of ids) {
+            if (!pairs.has(a)) pairs.set(a, new Map());
+            const row = pairs.get(a);
+            for (const b of ids) {
+                if (a !== b) row.set(b, (row.get(b) || 0) + 1);
+            }
+        }
+    }
+    return { pairs, users };
+}
+
+// Recompute every movie's recommendations. Safe to call on a timer.
+async function refreshRecommendations() {
+    if (jobInProgress) return;
+    jobInProgress = true;
+    const startedAt = new Date();
+
+    try {
+        const movies = await Movie.find().select('_id categories').lean();
+        const { pairs, users } = await countCoDownloads();
+
+        // Lowercase category → movie ids, and each movie's category set
+        const categoryIndex = new Map();
+        const movieCategories = new Map();
+        for (const movie of movies) {
+            const id = movie._id.toString();
+            const categories = new Set((movie.categories || []).map(c => c.toLowerCase()));
+            movieCategories.set(id, categories);
+            for (const category of categories) {
+                if (!categoryIndex.has(category)) categoryIndex.set(category, []);
+                categoryIndex.get(category).push(id);
+            }
+        }
+
+        const ops = [];
+        for (const movie of movies) {
+            const id = movie._id.toString();
+            const scores = new Map(); // otherId → { score, coDownloads }
+
+            // Co-downloads, as cosine similarity between the two movies' user sets
+            for (const [otherId, both] of pairs.get(id) || []) {
+                const cosine = both / Math.sqrt(users.get(id) * users.get(otherId));
+                scores.set(otherId, { score: CO_DOWNLOAD_WEIGHT * cosine, coDownloads: both });
+            }
+
+            // Category overlap, as Jaccard similarity of the category sets
+            const categories = movieCategories.get(id);
+            const candidates = new Set();
+            for (const category of categories) {
+                const members = categoryIndex.get(category);
+                if (members.length <= MAX_CATEGORY_SIZE) members.forEach(m => candidates.add(m));
+            }
+            candidates.delete(id);
+            for (const otherId of candidates) {
+                const other = movieCategories.get(otherId);
+                const shared = [...categories].filter(c => other.has(c)).length;
+                const jaccard = shared / (categories.size + other.size - shared);
+                const entry = scores.get(otherId) || { score: 0, coDownloads: 0 };
+                entry.score += CATEGORY_WEIGHT * jaccard;
+                scores.set(otherId, entry);
+            }
+
+            if (scores.size === 0) continue;
+            const items = [...scores.entries()]
+                .sort((a, b) => b[1].score - a[1].score || b[1].coDownloads - a[1].coDownloads)
+                .slice(0, MAX_RECOMMENDATIONS)
+                .map(([otherId, { score, coDownloads }]) => ({
+                    movieId: otherId,
+                    score: Math.round(score * 1000) / 1000,
+                    coDownloads
+                }));
+
+            ops.push({
+                updateOne: {
+                    filter: { movieId: movie._id },
+                    update: { $set: { items, computedAt: new Date() } },
+                    upsert: true
+                }
+            });
+        }
+
+        for (let i = 0; i < ops.length; i += 500) {
+            await Recommendation.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+        }
+        // Movies that lost every recommendation (or were deleted)
+        await Recommendation.deleteMany({ computedAt: { $lt: startedAt } });
+
+        console.log(`💡 Recommendations refreshed: ${ops.length}/${movies.length} movies in ${Date.now() - startedAt}ms`);
+    } catch (e) {
+        console.error('❌ Recommendation job error:', e.message);
+    } finally {
+        jobInProgress = false;
+    }
+}
+
+// Up to `limit` movies to suggest next to `movie`. Movies indexed since the
+// last run fall back to a plain shared-category lookup.
+async function getRecommendations(movie, limit = 3) {
+    const rec = await Recommendation.findOne({ movieId: movie._id }).lean();
+
+    if (!rec) {
+        if (!movie.categories || movie.categories.length === 0) return [];
+        return await Movie.find({
+            _id: { $ne: movie._id },
+            categories: { $in: movie.categories }
+        }).sort({ requests: -1 }).limit(limit);
+    }
+
+    const ids = rec.items.map(i => i.movieId);
+    const found = await Movie.find({ _id: { $in: ids } });
+    return ids
+        .map(id => found.find(m => m._id.equals(id)))
+        .filter(Boolean)
+        .slice(0, limit);
+}
+
+module.exports = {
+    refreshRecommendations,
+    getRecommendations
+};
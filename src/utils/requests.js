@@ -0,0 +1,92 @@
+const { MovieRequest } = require('../database');
+const { sleep, formatMovieTitle, sendToLogChannel, escapeHtml } = require('./helpers');
+const { getMovieStartUrl } = require('./deepLinks');
+const { hasNativeScript, phoneticSkeleton } = require('./transliterate');
+
+const spaceless = (s) => s.toLowerCase().replace(/\s+/g, '');
+const words = (s) => s.toLowerCase().split(/\s+/).filter(w => w.length > 1);
+
+// A request is answered by a movie when the query is that name (ignoring spaces),
+// names it plus extra words ("leo 2023 tamil" → "leo"), or is its other-script spelling
+function requestMatches(query, name) {
+    if (spaceless(query) === spaceless(name)) return true;
+    const queryWords = words(query);
+    const nameWords = words(name);
+    if (nameWords.length > 0 && nameWords.every(w => queryWords.includes(w))) return true;
+
+    if (!hasNativeScript(query) && !hasNativeScript(name)) return false;
+    const skeleton = phoneticSkeleton(query);
+    return skeleton.length > 1 && skeleton === phoneticSkeleton(name);
+}
+
+// Open requests (with at least one vote) that this movie answers
+async function findMatchingRequests(movie) {
+    const names = [movie.title, ...(movie.aliases || []), movie.nativeTitle].filter(Boolean);
+    const open = await MovieRequest.find({ status: 'open', votes: { $gt: 0 } });
+    return open.filter(r => names.some(name => requestMatches(r.query, name)));
+}
+
+// PM every requester the deep link, then close the request. A request that
+// reached none of its users stays open (and the log channel hears about it).
+async function fulfilRequest(bot, request, movie) {
+    const privateStart = await getMovieStartUrl(bot, movie);
+
+    let notified = 0;
+    for (const userId of request.users) {
+        try {
+            await bot.api.sendMessage(
+                userId,
+                `🎉 <b>YOUR REQUEST IS READY!</b>\n` +
+                `━━━━━━━━━ ✦ ━━━━━━━━━\n\n` +
+                `🔍 You asked for: <code>${escapeHtml(request.query)}</code>\n` +
+                `🎬 Now available: <b>${formatMovieTitle(movie)}</b>\n\n` +
+                `👇 Tap below to get the clips!`,
+                {
+                    parse_mode: 'HTML',
+                    reply_markup: { inline_keyboard: [[{ text: '📥 Get Clips Now', url: privateStart }]] }
+                }
+            );
+            notified++;
+            await sleep(300);
+        } catch (e) {
+            console.log(`Request notify failed for ${userId}: ${e.message}`); // Usually never started the bot or blocked it
+        }
+    }
+
+    if (notified === 0 && request.users.length > 0) {
+        await sendToLogChannel(bot, `⚠️ <b>Request Not Delivered</b>\n\n` +
+            `🔍 Query: <code>${escapeHtml(request.query)}</code>\n` +
+            `🎬 Movie: <b>${escapeHtml(movie.title)}</b>\n` +
+            `📨 None of ${request.users.length} users could be reached - request left open`);
+        return 0;
+    }
+
+    request.status = 'fulfilled';
+    request.movieId = movie._id;
+    request.resolvedAt = new Date();
+    await request.save();
+
+    await sendToLogChannel(bot, `🙋 <b>Request Fulfilled</b>\n\n` +
+        `🔍 Query: <code>${escapeHtml(request.query)}</code>\n` +
+        `🎬 Movie: <b>${escapeHtml(movie.title)}</b>\n` +
+        `📨 Notified: ${notified}/${request.users.length} users`);
+    return notified;
+}
+
+// Called after a movie is newly indexed
+async function notifyRequesters(bot, movie) {
+    try {
+        const requests = await findMatchingRequests(movie);
+        for (const request of requests) {
+            await fulfilRequest(bot, request, movie);
+        }
+    } catch (e) {
+        console.error('Request notify error:', e.message);
+    }
+}
+
+module.exports = {
+    findMatchingRequests,
+    fulfilRequest,
+    notifyRequesters
+};
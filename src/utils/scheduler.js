@@ -0,0 +1,118 @@
+const { GrammyError } = require('grammy');
+const { ScheduledAction, Room } = require('../database');
+const { flushDigests } = require('./follows');
+
+// ────────────────────────────────────────────────────────────────────
+// Deferred actions
+// Auto-deletes, "link expired" edits, room releases and follower digests
+// (queued by follows.js) are stored in MongoDB instead of in-process
+// timers, so a restart only delays them.
+// A poller runs every due action, including ones that fell due while
+// the bot was down.
+// ────────────────────────────────────────────────────────────────────
+const POLL_INTERVAL_MS = 15 * 1000;
+const LOCK_MS = 60 * 1000; // A crashed run is retried after this
+const MAX_ATTEMPTS = 3;
+
+let bot = null;
+let api = null;
+let pollTimer = null;
+let polling = false;
+
+// Queue an action. Never throws - callers fire and forget, like the timers this replaces.
+async function scheduleAction(type, payload, delayMs) {
+    try {
+        await ScheduledAction.create({ type, payload, runAt: new Date(Date.now() + delayMs) });
+    } catch (e) {
+        console.error(`Schedule ${type} error:`, e.message);
+    }
+}
+
+// Auto-delete a bot message after N milliseconds
+const autoDelete = (chatId, messageId, ms = 30 * 60 * 1000) =>
+    scheduleAction('deleteMessage', { chatId, messageId }, ms);
+
+// Delete command message that triggered the bot
+const deleteTriggerMessage = async (ctx, ms = 30 * 60 * 1000) => {
+    if (ctx.message) await autoDelete(ctx.chat.id, ctx.message.message_id, ms);
+};
+
+const scheduleEdit = (chatId, messageId, text, options, ms) =>
+    scheduleAction('editMessage', { chatId, messageId, text, options }, ms);
+
+// Free a delivery room, unless it was handed out again since `lastUsed`
+const scheduleRoomRelease = (roomId, lastUsed, ms) =>
+    scheduleAction('releaseRoom', { roomId, lastUsed }, ms);
+
+async function runAction({ type, payload }) {
+    try {
+        if (type === 'deleteMessage') {
+            await api.deleteMessage(payload.chatId, payload.messageId);
+        } else if (type === 'editMessage') {
+            await api.editMessageText(payload.chatId, payload.messageId, payload.text, payload.options);
+        } else if (type === 'releaseRoom') {
+            const result = await Room.updateOne(
+                { roomId: payload.roomId, lastUsed: payload.lastUsed },
+                { isBusy: false }
+            );
+            if (result.modifiedCount > 0) console.log(`✅ Room ${payload.roomId} freed after grace period`);
+        } else if (type === 'flushDigests') {
+            await flushDigests(bot, payload);
+        }
+    } catch (e) {
+        // Already deleted, too old to edit, ... - retrying won't help
+        if (e instanceof GrammyError) return;
+        throw e;
+    }
+}
+
+// Claim and run due actions one at a time, oldest first
+async function runDueActions() {
+    if (polling || !api) return;
+    polling = true;
+
+    try {
+        while (true) {
+            const now = new Date();
+            const action = await ScheduledAction.findOneAndUpdate(
+                { runAt: { $lte: now }, lockedUntil: { $lte: now } },
+                { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+                { sort: { runAt: 1 }, returnDocument: 'after' }
+            );
+            if (!action) break;
+
+            try {
+                await runAction(action);
+                await ScheduledAction.deleteOne({ _id: action._id });
+            } catch (e) {
+                if (action.attempts >= MAX_ATTEMPTS) {
+                    console.error(`❌ Dropping ${action.type} after ${action.attempts} attempts:`, e.message);
+                    await ScheduledAction.deleteOne({ _id: action._id });
+                } else {
+                    console.warn(`⚠️ ${action.type} failed, will retry:`, e.message);
+                }
+            }
+        }
+    } catch (e) {
+        console.error('Scheduler poll error:', e.message);
+    } finally {
+        polling = false;
+    }
+}
+
+// Start polling; overdue actions from before a restart run right away
+function startScheduler(botInstance) {
+    bot = botInstance;
+    api = bot.api;
+    if (pollTimer) return;
+    runDueActions();
+    pollTimer = setInterval(runDueActions, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+    autoDelete,
+    deleteTriggerMessage,
+    scheduleEdit,
+    scheduleRoomRelease,
+    startScheduler
+};
@@ -0,0 +1,206 @@
+const { Movie, GoldenQuery, SearchEvalRun } = require('../database');
+const { cleanMovieName, escapeHtml } = require('./helpers');
+const { findFilteredResults, isClearWinner } = require('./ranking');
+const { parseQueryFilters, hasFilters } = require('./queryFilters');
+
+// ────────────────────────────────────────────────────────────────────
+// Search evaluation
+// Admins upload a golden set of "query → expected title" pairs. Each
+// /searcheval runs them through the same pipeline as a group search
+// and is stored, so the next run can point out regressions.
+// ────────────────────────────────────────────────────────────────────
+const MAX_GOLDEN_QUERIES = 2000;
+const RUNS_KEPT = 10;
+const REPORT_LINES = 8;
+const MAX_REPORT_LENGTH = 4000; // Telegram's message limit is 4096
+
+// Better statuses rank higher; a drop between runs is a regression
+const STATUS_RANK = { pass: 3, listed: 2, wrong: 1, miss: 1 };
+const STATUS_LABELS = { pass: 'pass', listed: 'listed', wrong: 'wrong pick', miss: 'miss' };
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const pairKey = (r) => `${normalize(r.query)}\u0000${normalize(r.expected)}`;
+
+// One pair per line: "query => Expected Title" (also "|", tab or comma), or a JSON
+// array of { query, expected }. An empty or "-" title means "should find nothing".
+function parseGoldenSet(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    let rows;
+
+    if (trimmed.startsWith('[')) {
+        rows = JSON.parse(trimmed).map(row => [row?.query, row?.expected]);
+    } else {
+        rows = trimmed.split(/\r?\n/)
+            .filter(line => line.trim() && !/^query\s*(=>|\||\t|,)/i.test(line.trim())) // Blank lines, CSV header
+            .map(line => {
+                // "=>" wins when present, so queries may contain commas ("vikram, kamal => Vikram")
+                const match = line.match(/^(.+?)\s*=>\s*(.*)$/) || line.match(/^(.+?)\s*(?:\||\t|,)\s*(.*)$/);
+                return match ? [match[1], match[2]] : [line, undefined];
+            });
+    }
+
+    const pairs = [];
+    let skipped = 0;
+    for (const [query, expected] of rows) {
+        if (typeof query !== 'string' || !query.trim() || expected === undefined) {
+            skipped++;
+            continue;
+        }
+        const title = String(expected ?? '').trim().replace(/^"(.*)"$/, '$1');
+        pairs.push({ query: query.trim().replace(/^"(.*)"$/, '$1'), expected: title && title !== '-' ? title : null });
+    }
+    return { pairs: pairs.slice(0, MAX_GOLDEN_QUERIES), skipped: skipped + Math.max(0, pairs.length - MAX_GOLDEN_QUERIES) };
+}
+
+// Replace the stored golden set
+async function saveGoldenSet(pairs) {
+    await GoldenQuery.deleteMany({});
+    if (pairs.length > 0) await GoldenQuery.insertMany(pairs);
+}
+
+// Lowercase title/alias → movie id, to resolve expected titles
+async function buildTitleIndex() {
+    const index = new Map();
+    for (const movie of await Movie.find().select('title aliases').lean()) {
+        for (const name of [movie.title, ...(movie.aliases || [])]) {
+            if (!index.has(normalize(name))) index.set(normalize(name), movie._id.toString());
+        }
+    }
+    return index;
+}
+
+// Same steps as a group search: filters out, cleanMovieName, rank, clear winner or list
+async function evaluatePair(pair, titleIndex) {
+    const { text, filters } = parseQueryFilters(pair.query);
+    const query = cleanMovieName(text);
+    const results = query.length >= 2 || hasFilters(filters) ? await findFilteredResults(query, filters) : [];
+    const autoPick = isClearWinner(results);
+    const got = results[0]?.movie.title || null;
+
+    if (!pair.expected) {
+        return { status: results.length === 0 ? 'pass' : 'wrong', got, rank: 0, autoPick };
+    }
+
+    const expectedId = titleIndex.get(normalize(pair.expected));
+    if (!expectedId) return { status: 'absent', got, rank: 0, autoPick };
+
+    const rank = results.findIndex(r => r.movie._id.toString() === expectedId) + 1;
+    let status;
+    if (autoPick) status = rank === 1 ? 'pass' : 'wrong';
+    else status = rank > 0 ? 'listed' : 'miss';
+    return { status, got, rank, autoPick };
+}
+
+// Run the golden set against the current catalog and store the run. Returns
+// { run, previous } or null when no golden set was uploaded yet.
+async function runSearchEval() {
+    const pairs = await GoldenQuery.find().sort({ _id: 1 }).lean();
+    if (pairs.length === 0) return null;
+
+    const previous = await SearchEvalRun.findOne().sort({ createdAt: -1 }).lean();
+    const titleIndex = await buildTitleIndex();
+
+    const results = [];
+    let autoPicks = 0;
+    let correctPicks = 0;
+    for (const pair of pairs) {
+        const { status, got, rank, autoPick } = await evaluatePair(pair, titleIndex);
+        if (autoPick && status !== 'absent') {
+            autoPicks++;
+            if (status === 'pass') correctPicks++;
+        }
+        results.push({ query: pair.query, expected: pair.expected, status, got, rank });
+    }
+
+    const run = await SearchEvalRun.create({
+        total: results.length,
+        passed: results.filter(r => r.status === 'pass').length,
+        autoPicks,
+        correctPicks,
+        results
+    });
+
+    // Keep the last few runs only
+    const stale = await SearchEvalRun.find().sort({ createdAt: -1 }).skip(RUNS_KEPT).select('_id').lean();
+    if (stale.length > 0) await SearchEvalRun.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+
+    return { run: run.toObject(), previous };
+}
+
+// Queries whose status got worse (regressions) or better (fixes) since `previous`.
+// Titles missing from either catalog are left out - that's not search's doing.
+function compareRuns(run, previous) {
+    const before = new Map((previous?.results || []).map(r => [pairKey(r), r]));
+    const regressions = [];
+    const fixes = [];
+    for (const r of run.results) {
+        const old = before.get(pairKey(r));
+        if (!old || old.status === 'absent' || r.status === 'absent') continue;
+        if (STATUS_RANK[r.status] < STATUS_RANK[old.status]) regressions.push({ ...r, was: old.status });
+        else if (STATUS_RANK[r.status] > STATUS_RANK[old.status]) fixes.push({ ...r, was: old.status });
+    }
+    return { regressions, fixes };
+}
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+function describeResult(r) {
+    const expected = r.expected ? escapeHtml(r.expected) : '<i>nothing</i>';
+    const got = r.got ? escapeHtml(r.got) : '<i>nothing</i>';
+    const rank = r.status === 'listed' ? ` (#${r.rank})` : '';
+    return `"<code>${escapeHtml(r.query)}</code>" → ${expected}${r.status === 'wrong' ? `, got ${got}` : rank}`;
+}
+
+function listSection(title, items, format) {
+    if (items.length === 0) return '';
+    const lines = items.slice(0, REPORT_LINES).map(item => `▸ ${format(item)}\n`).join('');
+    const more = items.length > REPORT_LINES ? `<i>...and ${items.length - REPORT_LINES} more</i>\n` : '';
+    return `\n<b>${title} (${items.length})</b>\n${lines}${more}`;
+}
+
+// HTML report for /searcheval
+function buildEvalReport(run, previous) {
+    const count = (status) => run.results.filter(r => r.status === status);
+    const absent = count('absent');
+    const scored = run.total - absent.length;
+    const { regressions, fixes } = compareRuns(run, previous);
+
+    const prevScored = previous ? previous.total - previous.results.filter(r => r.status === 'absent').length : 0;
+    const trend = previous
+        ? ` <i>(last run ${percent(previous.passed, prevScored)}%)</i>`
+        : ' <i>(first run)</i>';
+
+    let text = `🧪 <b>SEARCH EVAL</b>\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n` +
+        `📋 <b>Queries:</b> ${run.total}${absent.length > 0 ? ` (${absent.length} not in catalog)` : ''}\n` +
+        `✅ <b>Passed:</b> ${run.passed}/${scored} • ${percent(run.passed, scored)}%${trend}\n` +
+        `🎯 <b>Precision:</b> ${percent(run.correctPicks, run.autoPicks)}% of ${run.autoPicks} auto-picks\n` +
+        `📑 <b>Listed only:</b> ${count('listed').length}\n` +
+        `❌ <b>Wrong picks:</b> ${count('wrong').length}\n` +
+        `🕳 <b>Misses:</b> ${count('miss').length}\n` +
+        `━━━━━━━━━ ✦ ━━━━━━━━━\n`;
+
+    const sections = [
+        previous && listSection('📉 REGRESSIONS', regressions, r => `${describeResult(r)} <i>${STATUS_LABELS[r.was]} → ${STATUS_LABELS[r.status]}</i>`),
+        previous && listSection('📈 FIXED', fixes, r => `${describeResult(r)} <i>${STATUS_LABELS[r.was]} → ${STATUS_LABELS[r.status]}</i>`),
+        listSection('❌ WRONG PICKS', count('wrong'), describeResult),
+        listSection('🕳 MISSES', count('miss'), describeResult),
+        listSection('❓ NOT IN CATALOG', absent, r => `"<code>${escapeHtml(r.query)}</code>" → ${escapeHtml(r.expected)}`)
+    ].filter(Boolean);
+
+    for (const section of sections) {
+        if (text.length + section.length > MAX_REPORT_LENGTH) {
+            text += `\n<i>Report truncated.</i>`;
+            break;
+        }
+        text += section;
+    }
+    return text;
+}
+
+module.exports = {
+    parseGoldenSet,
+    saveGoldenSet,
+    runSearchEval,
+    buildEvalReport
+};
@@ -0,0 +1,204 @@
+const { Movie } = require('../database');
+const { matchesSpaceless, matchesTokens, soundex, levenshteinDistance } = require('./matching');
+const { phoneticSkeleton } = require('./transliterate');
+
+// ────────────────────────────────────────────────────────────────────
+// In-memory search index
+// Built once at startup and kept in sync by every handler that changes
+// a movie, so group searches never scan the Movie collection. A movie is
+// findable by its title, every alias and its native-script title.
+// ────────────────────────────────────────────────────────────────────
+const entries = new Map();       // movieId → { _id, title, aliases, nativeTitle, categories, seq, keys }
+const trigrams = new Map();      // trigram of spaceless title/alias → Set(movieId)
+const categoryWords = new Map(); // lowercase category word → Set(movieId)
+const phonetics = new Map();     // soundex of title/alias → Set(movieId)
+const lengths = new Map();       // title/alias length → Set(movieId)
+const skeletons = new Map();     // consonant skeleton of title/alias (Latin or native) → Set(movieId)
+const shortTitles = new Set();   // titles/aliases too short to have a trigram
+
+let nextSeq = 0;
+
+const spaceless = (s) => s.toLowerCase().replace(/\s+/g, '');
+
+const getTrigrams = (s) => {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= s.length; i++) grams.add(s.slice(i, i + 3));
+    return grams;
+};
+
+const addPosting = (map, key, id) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+};
+
+const removePosting = (map, key, id) => {
+    const ids = map.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) map.delete(key);
+};
+
+// Candidate ids back to entries, in catalog (insertion) order
+const ordered = (ids) => [...ids]
+    .map(id => entries.get(id))
+    .filter(Boolean)
+    .sort((a, b) => a.seq - b.seq);
+
+const allEntries = () => [...entries.values()].sort((a, b) => a.seq - b.seq);
+
+// Title first, then aliases, then the native-script title
+const getNames = (entry) => [entry.title, ...entry.aliases, entry.nativeTitle].filter(Boolean);
+
+const unindexMovie = (movieId) => {
+    const id = movieId.toString();
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    entry.keys.trigrams.forEach(g => removePosting(trigrams, g, id));
+    entry.keys.words.forEach(w => removePosting(categoryWords, w, id));
+    entry.keys.phonetics.forEach(p => removePosting(phonetics, p, id));
+    entry.keys.lengths.forEach(l => removePosting(lengths, l, id));
+    entry.keys.skeletons.forEach(k => removePosting(skeletons, k, id));
+    shortTitles.delete(id);
+    entries.delete(id);
+};
+
+const indexMovie = (movie) => {
+    if (!movie || !movie._id || !movie.title) return;
+    const id = movie._id.toString();
+    const previous = entries.get(id);
+    unindexMovie(id);
+
+    const aliases = movie.aliases ? [...movie.aliases] : [];
+    const categories = movie.categories ? [...movie.categories] : [];
+    const nativeTitle = movie.nativeTitle || null;
+    const names = [movie.title, ...aliases, nativeTitle].filter(Boolean).map(n => n.toLowerCase());
+    const nameGrams = names.map(n => getTrigrams(spaceless(n)));
+    const keys = {
+        trigrams: [...new Set(nameGrams.flatMap(g => [...g]))],
+        words: [...new Set(categories.flatMap(c => c.toLowerCase().split(/\s+/)).filter(Boolean))],
+        phonetics: [...new Set(names.map(soundex))],
+        lengths: [...new Set(names.map(n => n.length))],
+        skeletons: [...new Set(names.map(phoneticSkeleton).filter(Boolean))]
+    };
+
+    keys.trigrams.forEach(g => addPosting(trigrams, g, id));
+    keys.words.forEach(w => addPosting(categoryWords, w, id));
+    keys.phonetics.forEach(p => addPosting(phonetics, p, id));
+    keys.lengths.forEach(l => addPosting(lengths, l, id));
+    keys.skeletons.forEach(k => addPosting(skeletons, k, id));
+    if (nameGrams.some(g => g.size === 0)) shortTitles.add(id);
+
+    entries.set(id, {
+        _id: movie._id,
+        title: movie.title,
+        aliases,
+        nativeTitle,
+        categories,
+        seq: previous ? previous.seq : nextSeq++,
+        keys
+    });
+};
+
+const clearSearchIndex = () => {
+    entries.clear();
+    trigrams.clear();
+    categoryWords.clear();
+    phonetics.clear();
+    lengths.clear();
+    skeletons.clear();
+    shortTitles.clear();
+    nextSeq = 0;
+};
+
+const loadSearchIndex = async () => {
+    const movies = await Movie.find().select('title aliases nativeTitle categories').lean();
+    clearSearchIndex();
+    movies.forEach(indexMovie);
+    console.log(`🔎 Search index built: ${entries.size} movies`);
+};
+
+// Re-read one movie after an update, or drop it if it no longer exists
+const refreshMovie = async (filter) => {
+    const movie = await Movie.findOne(filter).select('title aliases nativeTitle categories').lean();
+    if (movie) indexMovie(movie);
+    else if (filter._id) unindexMovie(filter._id);
+    return movie;
+};
+
+// Full movie documents for index entries, keeping the entry order
+const loadMovies = async (list) => {
+    if (list.length === 0) return [];
+    const docs = await Movie.find({ _id: { $in: list.map(e => e._id) } }).lean();
+    return list
+        .map(e => docs.find(d => d._id.toString() === e._id.toString()))
+        .filter(Boolean);
+};
+
+// Titles/aliases that contain the spaceless query or are contained in it
+const findSpaceless = (query) => {
+    const q = spaceless(query);
+    if (q.length < 3) return [];
+
+    const ids = new Set(shortTitles);
+    getTrigrams(q).forEach(g => trigrams.get(g)?.forEach(id => ids.add(id)));
+    return ordered(ids).filter(e => getNames(e).some(n => matchesSpaceless(query, n)));
+};
+
+// Titles/aliases that contain every query word
+const findTokens = (query) => {
+    const tokens = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
+    if (tokens.length === 0) return [];
+
+    let ids = null;
+    for (const token of tokens) {
+        if (token.length < 3) continue; // Too short for a trigram, checked below
+        for (const g of getTrigrams(token)) {
+            const gramIds = trigrams.get(g) || new Set();
+            ids = ids ? new Set([...ids].filter(id => gramIds.has(id))) : new Set(gramIds);
+        }
+    }
+
+    const pool = ids ? ordered(ids) : allEntries();
+    return pool.filter(e => getNames(e).some(n => matchesTokens(query, n)));
+};
+
+// Every movie any ranking signal could possibly accept for this query
+const findCandidates = (query) => {
+    const q = query.toLowerCase();
+    const ids = new Set();
+    const add = (list) => list.forEach(e => ids.add(e._id.toString()));
+
+    add(findSpaceless(query));
+    add(findTokens(query));
+
+    // Category words: exact word hits and 1-char typos
+    const firstWord = q.split(/\s+/)[0];
+    for (const [word, wordIds] of categoryWords) {
+        const exact = word.includes(firstWord);
+        const fuzzy = q.length >= 4 && word.length >= 4 && levenshteinDistance(q, word) <= 1;
+        if (exact || fuzzy) wordIds.forEach(id => ids.add(id));
+    }
+
+    // Phonetic twins, including the other script's spelling
+    phonetics.get(soundex(q))?.forEach(id => ids.add(id));
+    skeletons.get(phoneticSkeleton(q))?.forEach(id => ids.add(id));
+
+    // Levenshtein and keyboard checks only accept titles within 2 chars of the query length
+    for (let len = q.length - 2; len <= q.length + 2; len++) {
+        lengths.get(len)?.forEach(id => ids.add(id));
+    }
+
+    return ordered(ids);
+};
+
+module.exports = {
+    loadSearchIndex,
+    clearSearchIndex,
+    indexMovie,
+    unindexMovie,
+    refreshMovie,
+    loadMovies,
+    getNames,
+    findCandidates
+};
@@ -0,0 +1,93 @@
+const { SearchLog } = require('../database');
+const { primarySignal } = require('./ranking');
+
+// Report windows for /searchreport
+const REPORT_WINDOWS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Record one group search. Never throws - analytics must not break search.
+async function logSearch(ctx, { query, results, outcome, latencyMs }) {
+    try {
+        const top = results[0];
+        await SearchLog.create({
+            query,
+            userId: ctx.from.id,
+            chatId: String(ctx.chat.id),
+            outcome,
+            strategy: top ? primarySignal(top) : null,
+            movieId: outcome === 'hit' ? top.movie._id : null,
+            resultCount: results.length,
+            latencyMs
+        });
+    } catch (e) {
+        console.error('Search log error:', e.message);
+    }
+}
+
+// Totals, top queries, top misses and per-strategy hit rates since `windowKey` ago
+async function buildSearchReport(windowKey, limit = 10) {
+    const since = new Date(Date.now() - REPORT_WINDOWS[windowKey]);
+    const match = { $match: { createdAt: { $gte: since } } };
+
+    const [totals, topQueries, topMisses, strategies] = await Promise.all([
+        SearchLog.aggregate([
+            match,
+            { $group: { _id: '$outcome', count: { $sum: 1 }, latency: { $avg: '$latencyMs' } } }
+        ]),
+        SearchLog.aggregate([
+            match,
+            { $group: { _id: '$query', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: limit }
+        ]),
+        SearchLog.aggregate([
+            match,
+            { $match: { outcome: 'miss' } },
+            { $group: { _id: '$query', count: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+            { $sort: { count: -1 } },
+            { $limit: limit }
+        ]),
+        SearchLog.aggregate([
+            match,
+            { $match: { strategy: { $ne: null } } },
+            {
+                $group: {
+                    _id: '$strategy',
+                    count: { $sum: 1 },
+                    hits: { $sum: { $cond: [{ $eq: ['$outcome', 'hit'] }, 1, 0] } },
+                    latency: { $avg: '$latencyMs' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ])
+    ]);
+
+    const byOutcome = (outcome) => totals.find(t => t._id === outcome)?.count || 0;
+    const total = totals.reduce((sum, t) => sum + t.count, 0);
+    const avgLatency = total > 0 ? totals.reduce((sum, t) => sum + t.latency * t.count, 0) / total : 0;
+
+    return {
+        total,
+        hits: byOutcome('hit'),
+        lists: byOutcome('list'),
+        misses: byOutcome('miss'),
+        avgLatency: Math.round(avgLatency),
+        topQueries: topQueries.map(q => ({ query: q._id, count: q.count })),
+        topMisses: topMisses.map(q => ({ query: q._id, count: q.count, users: q.users.length })),
+        strategies: strategies.map(s => ({
+            strategy: s._id,
+            count: s.count,
+            hitRate: Math.round((s.hits / s.count) * 100),
+            latency: Math.round(s.latency)
+        }))
+    };
+}
+
+module.exports = {
+    REPORT_WINDOWS,
+    logSearch,
+    buildSearchReport
+};
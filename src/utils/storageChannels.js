@@ -0,0 +1,69 @@
+const { StorageChannel, BotSettings } = require('../database');
+
+// ────────────────────────────────────────────────────────────────────
+// Storage channels
+// Channels the bot indexes clips from. Each file remembers the channel
+// and message it came from, so delivery can copy it back out of the
+// right one. Kept in memory like search groups; change them through
+// registerStorageChannel/updateStorageChannel/removeStorageChannel.
+// ────────────────────────────────────────────────────────────────────
+const channels = new Map(); // chatId → StorageChannel document (lean)
+
+// Load all channels. On first run, DB_CHANNEL_ID becomes the first one and
+// keeps the /indexmode it had when modes were stored as settings.
+async function loadStorageChannels() {
+    const envChannelId = process.env.DB_CHANNEL_ID;
+    if (envChannelId && await StorageChannel.countDocuments() === 0) {
+        const legacy = await BotSettings.findOne({ key: `indexStrategy:${envChannelId}` }).lean();
+        await StorageChannel.create({ chatId: envChannelId, indexMode: legacy?.value || 'forward' });
+        console.log(`🗄️ Registered DB_CHANNEL_ID ${envChannelId} as the first storage channel`);
+    }
+
+    channels.clear();
+    for (const channel of await StorageChannel.find().sort({ addedAt: 1 }).lean()) channels.set(channel.chatId, channel);
+    console.log(`✅ ${channels.size} storage channel(s) loaded`);
+}
+
+// Settings for a registered channel, or null
+const getStorageChannel = (chatId) => channels.get(String(chatId)) || null;
+
+const isStorageChannel = (chatId) => channels.has(String(chatId));
+
+const listStorageChannels = () => [...channels.values()];
+
+// Where legacy messageIds (stored without a chat) live: DB_CHANNEL_ID, else the oldest channel
+const getPrimaryChannelId = () => process.env.DB_CHANNEL_ID || listStorageChannels()[0]?.chatId || null;
+
+async function registerStorageChannel(chatId, { title = '', indexMode = 'forward' } = {}) {
+    const channel = await StorageChannel.findOneAndUpdate(
+        { chatId: String(chatId) },
+        { $set: { title }, $setOnInsert: { indexMode } },
+        { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true }
+    ).lean();
+    channels.set(channel.chatId, channel);
+    return channel;
+}
+
+// Apply a Mongo update to a registered channel; null if it isn't registered
+async function updateStorageChannel(chatId, update) {
+    const channel = await StorageChannel.findOneAndUpdate({ chatId: String(chatId) }, update, { returnDocument: 'after' }).lean();
+    if (channel) channels.set(channel.chatId, channel);
+    return channel;
+}
+
+async function removeStorageChannel(chatId) {
+    const result = await StorageChannel.deleteOne({ chatId: String(chatId) });
+    channels.delete(String(chatId));
+    return result.deletedCount > 0;
+}
+
+module.exports = {
+    loadStorageChannels,
+    getStorageChannel,
+    isStorageChannel,
+    listStorageChannels,
+    getPrimaryChannelId,
+    registerStorageChannel,
+    updateStorageChannel,
+    removeStorageChannel
+};
@@ -0,0 +1,123 @@
+// ────────────────────────────────────────────────────────────────────
+// Tamil / Devanagari → Latin transliteration
+// Lets "லியோ" or "लियो" find "leo". Output is a loose phonetic form
+// (long vowels shortened), not a formal romanization.
+// ────────────────────────────────────────────────────────────────────
+const SCRIPTS = {
+    tamil: {
+        range: /[஀-௿]/,
+        vowels: {
+            'அ': 'a', 'ஆ': 'a', 'இ': 'i', 'ஈ': 'i', 'உ': 'u', 'ஊ': 'u',
+            'எ': 'e', 'ஏ': 'e', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au', 'ஃ': 'h'
+        },
+        consonants: {
+            'க': 'k', 'ங': 'ng', 'ச': 'ch', 'ஞ': 'nj', 'ட': 't', 'ண': 'n', 'த': 'th',
+            'ந': 'n', 'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v',
+            'ழ': 'zh', 'ள': 'l', 'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's',
+            'ஹ': 'h', 'ஶ': 'sh'
+        },
+        signs: {
+            'ா': 'a', 'ி': 'i', 'ீ': 'i', 'ு': 'u', 'ூ': 'u',
+            'ெ': 'e', 'ே': 'e', 'ை': 'ai', 'ொ': 'o', 'ோ': 'o', 'ௌ': 'au'
+        },
+        marks: {},
+        virama: '்',
+        nukta: null,
+        schwaDeletion: false
+    },
+    devanagari: {
+        range: /[ऀ-ॿ]/,
+        vowels: {
+            'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+            'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+        },
+        consonants: {
+            'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh',
+            'ज': 'j', 'झ': 'jh', 'ञ': 'n', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh',
+            'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'प': 'p',
+            'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l',
+            'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+        },
+        signs: {
+            'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+            'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+        },
+        marks: { 'ं': 'n', 'ँ': 'n', 'ः': 'h' },
+        virama: '्',
+        nukta: '़',
+        schwaDeletion: true // Hindi drops the inherent "a" at the end of a word
+    }
+};
+
+const hasNativeScript = (text) => Object.values(SCRIPTS).some(s => s.range.test(text || ''));
+
+const scriptFor = (char) => Object.values(SCRIPTS).find(s => s.range.test(char));
+
+const transliterate = (text) => {
+    if (!text) return '';
+
+    const chars = [...text];
+    let out = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const c = chars[i];
+        const script = scriptFor(c);
+        if (!script) {
+            out += c;
+            continue;
+        }
+
+        if (script.consonants[c] !== undefined) {
+            out += script.consonants[c];
+
+            let next = i + 1;
+            if (script.nukta && chars[next] === script.nukta) next++;
+            const n = chars[next];
+
+            if (n === script.virama) {
+                i = next;
+            } else if (script.signs[n] !== undefined) {
+                out += script.signs[n];
+                i = next;
+            } else {
+                const endOfWord = !n || !scriptFor(n) || /\s/.test(n);
+                if (!(script.schwaDeletion && endOfWord)) out += 'a';
+                i = next - 1;
+            }
+            continue;
+        }
+
+        if (script.vowels[c] !== undefined) out += script.vowels[c];
+        else if (script.marks[c] !== undefined) out += script.marks[c];
+        // Stray signs and unknown marks are dropped
+    }
+
+    return out.toLowerCase();
+};
+
+// Consonant skeleton shared by both spellings of a name:
+// "vijay" and "விஜய்" both become "vj", "jailer" and "ஜெயிலர்" both "jlr".
+const SKELETON_RULES = [
+    [/zh/g, 'l'],
+    [/(ch|sh|s|z)/g, 's'],
+    [/(th|dh|t|d)/g, 't'],
+    [/(ph|bh|f|p|b)/g, 'p'],
+    [/(kh|gh|k|g|q|c)/g, 'k'],
+    [/(jh|j)/g, 'j'],
+    [/w/g, 'v'],
+    [/[aeiouyh]/g, '']
+];
+
+const phoneticSkeleton = (text) => {
+    let s = (hasNativeScript(text) ? transliterate(text) : (text || '').toLowerCase()).replace(/[^a-z0-9]/g, '');
+    SKELETON_RULES.forEach(([pattern, replacement]) => {
+        s = s.replace(pattern, replacement);
+    });
+    return s.replace(/(.)\1+/g, '$1');
+};
+
+module.exports = {
+    hasNativeScript,
+    transliterate,
+    phoneticSkeleton
+};
@@ -0,0 +1,81 @@
+const { Movie, MovieActivity } = require('../database');
+
+// ────────────────────────────────────────────────────────────────────
+// Trending
+// Requests (search results shown) and deliveries are counted per movie in
+// hourly buckets. A window's ranking sums its buckets with exponential
+// decay, so last night's activity outweighs last week's.
+// ────────────────────────────────────────────────────────────────────
+const HOUR_MS = 60 * 60 * 1000;
+
+const TRENDING_WINDOWS = {
+    '24h': { label: '24 HOURS', ms: 24 * HOUR_MS, halfLifeMs: 6 * HOUR_MS },
+    '7d': { label: '7 DAYS', ms: 7 * 24 * HOUR_MS, halfLifeMs: 2 * 24 * HOUR_MS },
+    '30d': { label: '30 DAYS', ms: 30 * 24 * HOUR_MS, halfLifeMs: 7 * 24 * HOUR_MS }
+};
+
+const DELIVERY_WEIGHT = 2; // A delivery means more than a result card
+
+// Count one event for a movie. Never throws - stats must not break search or delivery.
+async function recordActivity(movieId, type) {
+    try {
+        const bucket = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+        await MovieActivity.updateOne(
+            { movieId, bucket },
+            { $inc: { [type]: 1 } },
+            { upsert: true }
+        );
+    } catch (e) {
+        console.error('Activity log error:', e.message);
+    }
+}
+
+// Top movies by decayed activity in the window: { items: [{ movie, score, requests,
+// deliveries }], isFallback }. With no activity yet, falls back to the all-time
+// requests counter so the list is never empty on a fresh install.
+async function getTrending(windowKey, limit = 10) {
+    const { ms, halfLifeMs } = TRENDING_WINDOWS[windowKey];
+    const now = new Date();
+
+    const ranked = await MovieActivity.aggregate([
+        { $match: { bucket: { $gte: new Date(now.getTime() - ms) } } },
+        {
+            $project: {
+                movieId: 1,
+                requests: 1,
+                deliveries: 1,
+                score: {
+                    $multiply: [
+                        { $add: ['$requests', { $multiply: ['$deliveries', DELIVERY_WEIGHT] }] },
+                        { $pow: [0.5, { $divide: [{ $subtract: [now, '$bucket'] }, halfLifeMs] }] }
+                    ]
+                }
+            }
+        },
+        { $group: { _id: '$movieId', score: { $sum: '$score' }, requests: { $sum: '$requests' }, deliveries: { $sum: '$deliveries' } } },
+        { $sort: { score: -1 } },
+        { $limit: limit * 2 } // Headroom for movies deleted since
+    ]);
+
+    if (ranked.length === 0) {
+        const movies = await Movie.find().sort({ requests: -1 }).limit(limit);
+        return {
+            items: movies.map(movie => ({ movie, score: 0, requests: movie.requests, deliveries: 0 })),
+            isFallback: true
+        };
+    }
+
+    const movies = await Movie.find({ _id: { $in: ranked.map(r => r._id) } });
+    const items = ranked
+        .map(r => ({ ...r, movie: movies.find(m => m._id.equals(r._id)) }))
+        .filter(r => r.movie)
+        .slice(0, limit)
+        .map(({ movie, score, requests, deliveries }) => ({ movie, score, requests, deliveries }));
+    return { items, isFallback: false };
+}
+
+module.exports = {
+    TRENDING_WINDOWS,
+    recordActivity,
+    getTrending
+};